@@ -1,3 +1,9 @@
+// Chrome runs this file as a service worker; Firefox loads the shared scripts
+// through the manifest's background scripts.
+if (typeof importScripts === "function") {
+    importScripts("settings.js", "public-suffix.js", "url-patterns.js");
+}
+
 const invokeChromeMethod = (apiObject, methodName, ...args) =>
     new Promise((resolve, reject) => {
         if (!apiObject || typeof apiObject[methodName] !== "function") {
@@ -16,8 +22,7 @@ const invokeChromeMethod = (apiObject, methodName, ...args) =>
         });
     });
 
-const filterCountableTabs = (tabs, options) =>
-    (tabs || []).filter((tab) => options.countPinnedTabs || !tab.pinned);
+const EXTENSION_PAGE_PREFIX = chrome.runtime.getURL("");
 
 const mergeTabsById = (...tabLists) => {
     const tabsById = new Map();
@@ -72,6 +77,7 @@ const removeTabSafely = async (tabId) => {
 
     try {
         await invokeChromeMethod(chrome.tabs, "remove", tabId);
+        applyToTabIndex(() => unindexTab(tabId));
         return true;
     } catch (error) {
         if (isMissingTabError(error)) {
@@ -82,13 +88,57 @@ const removeTabSafely = async (tabId) => {
     }
 };
 
+// Unloading is best effort: the browser may refuse, e.g. for the active tab.
+const discardTabSafely = async (tabId) => {
+    if (typeof tabId !== "number" || !chrome.tabs || typeof chrome.tabs.discard !== "function") {
+        return false;
+    }
+
+    try {
+        await invokeChromeMethod(chrome.tabs, "discard", tabId);
+        applyToTabIndex(() => updateIndexedTab(tabId, { discarded: true }));
+        return true;
+    } catch (error) {
+        if (!isMissingTabError(error)) {
+            console.error("Error discarding tab:", error);
+        }
+
+        return false;
+    }
+};
+
+// Session storage survives service worker restarts but not browser restarts,
+// which is how long "warned once" flags and notification actions should live.
+// Browsers without it fall back to memory.
+const sessionFallback = {};
+
+const getSessionValue = async (key, fallback) => {
+    if (!chrome.storage.session) {
+        return key in sessionFallback ? sessionFallback[key] : fallback;
+    }
+
+    const stored = await invokeChromeMethod(chrome.storage.session, "get", { [key]: fallback });
+    return stored[key];
+};
+
+const setSessionValue = async (key, value) => {
+    if (!chrome.storage.session) {
+        sessionFallback[key] = value;
+        return;
+    }
+
+    await invokeChromeMethod(chrome.storage.session, "set", { [key]: value });
+};
+
 const moveTabSafely = async (tabId, moveProperties) => {
     if (typeof tabId !== "number") {
         return null;
     }
 
     try {
-        return await invokeChromeMethod(chrome.tabs, "move", tabId, moveProperties);
+        const movedTab = await invokeChromeMethod(chrome.tabs, "move", tabId, moveProperties);
+        applyToTabIndex(() => updateIndexedTab(tabId, { windowId: moveProperties.windowId }));
+        return movedTab;
     } catch (error) {
         if (isMissingTabError(error)) {
             return null;
@@ -100,7 +150,14 @@ const moveTabSafely = async (tabId, moveProperties) => {
 
 const createWindowForTabSafely = async (createData) => {
     try {
-        return await invokeChromeMethod(chrome.windows, "create", createData);
+        const createdWindow = await invokeChromeMethod(chrome.windows, "create", createData);
+        applyToTabIndex(() => {
+            indexWindow(createdWindow);
+            if (createdWindow && typeof createData.tabId === "number") {
+                updateIndexedTab(createData.tabId, { windowId: createdWindow.id });
+            }
+        });
+        return createdWindow;
     } catch (error) {
         if (isMissingTabError(error)) {
             return null;
@@ -110,89 +167,281 @@ const createWindowForTabSafely = async (createData) => {
     }
 };
 
-const getNormalWindows = async (populate) => {
-    const windows = await invokeChromeMethod(chrome.windows, "getAll", {
-        populate,
-    });
+// ----------------------------------------------------------------------------
+// Tab index
+//
+// Tabs and windows are kept in memory and updated from tab and window events,
+// so limit checks do not query every tab. The index is rebuilt from a full
+// query the first time it is read after the service worker starts.
+
+const tabIndex = {
+    tabs: new Map(),
+    windows: new Map(),
+    domains: new Map(), // registrable domain -> Set of tab ids
+    ready: false,
+};
+let tabIndexBuild = null;
+
+// Keyed by registrable domain so one lookup covers both grouping modes.
+const getIndexDomain = (tab) => getRegistrableDomain(getDomainFromUrl(getTabUrl(tab)));
+
+const addToDomainIndex = (tab) => {
+    const domain = getIndexDomain(tab);
+    if (!domain) {
+        return;
+    }
+
+    if (!tabIndex.domains.has(domain)) {
+        tabIndex.domains.set(domain, new Set());
+    }
+    tabIndex.domains.get(domain).add(tab.id);
+};
+
+const removeFromDomainIndex = (tab) => {
+    const domain = getIndexDomain(tab);
+    const tabIds = domain && tabIndex.domains.get(domain);
+    if (!tabIds) {
+        return;
+    }
+
+    tabIds.delete(tab.id);
+    if (tabIds.size === 0) {
+        tabIndex.domains.delete(domain);
+    }
+};
+
+const indexWindow = (window) => {
+    if (!window || typeof window.id !== "number") {
+        return;
+    }
+
+    const { tabs, ...windowInfo } = window;
+    tabIndex.windows.set(window.id, { ...tabIndex.windows.get(window.id), ...windowInfo });
+};
+
+const indexTab = (tab) => {
+    if (!tab || typeof tab.id !== "number") {
+        return;
+    }
+
+    const existing = tabIndex.tabs.get(tab.id);
+    if (existing) {
+        removeFromDomainIndex(existing);
+    }
+    tabIndex.tabs.set(tab.id, tab);
+    addToDomainIndex(tab);
+
+    // Tabs can be reported before their window.
+    if (!tabIndex.windows.has(tab.windowId)) {
+        indexWindow({ id: tab.windowId, incognito: Boolean(tab.incognito) });
+    }
+};
+
+const unindexTab = (tabId) => {
+    const existing = tabIndex.tabs.get(tabId);
+    if (!existing) {
+        return;
+    }
 
-    return (windows || []).filter((window) => !window.type || window.type === "normal");
+    removeFromDomainIndex(existing);
+    tabIndex.tabs.delete(tabId);
 };
 
-const getAllCountableTabs = async (options) => {
+const updateIndexedTab = (tabId, changes) => {
+    const existing = tabIndex.tabs.get(tabId);
+    if (existing) {
+        indexTab({ ...existing, ...changes });
+    }
+};
+
+const buildTabIndex = async () => {
     const [queriedTabs, windows] = await Promise.all([
         queryTabs({}),
-        getNormalWindows(true),
+        invokeChromeMethod(chrome.windows, "getAll", { populate: true }),
     ]);
-    const windowTabs = windows.flatMap((window) => window.tabs || []);
-    return filterCountableTabs(mergeTabsById(queriedTabs, windowTabs), options);
+
+    tabIndex.tabs.clear();
+    tabIndex.windows.clear();
+    tabIndex.domains.clear();
+
+    (windows || []).forEach(indexWindow);
+    const windowTabs = (windows || []).flatMap((window) => window.tabs || []);
+    mergeTabsById(queriedTabs, windowTabs).forEach(indexTab);
+    tabIndex.ready = true;
 };
 
-const getFocusedWindowCountableTabs = async (options) => {
-    const windows = await getNormalWindows(true);
-    const focusedWindow = windows.find((window) => window.focused) || windows[0] || null;
+const ensureTabIndex = () => {
+    if (!tabIndexBuild) {
+        tabIndexBuild = buildTabIndex().catch((error) => {
+            tabIndexBuild = null;
+            throw error;
+        });
+    }
 
-    if (!focusedWindow || typeof focusedWindow.id !== "number") {
-        return [];
+    return tabIndexBuild;
+};
+
+// Events that arrive while the index is being built are applied on top of it.
+const applyToTabIndex = (update) => {
+    if (tabIndex.ready) {
+        update();
+        return;
     }
 
-    const queriedTabs = await queryTabs({ windowId: focusedWindow.id });
+    ensureTabIndex()
+        .then(update)
+        .catch((error) => console.error("Error updating tab index:", error));
+};
+
+const getIndexedTabs = async () => {
+    await ensureTabIndex();
+    return Array.from(tabIndex.tabs.values());
+};
 
-    return filterCountableTabs(
-        mergeTabsById(queriedTabs, focusedWindow ? focusedWindow.tabs : []),
-        options,
+// All tabs under the domain's registrable domain; callers narrow it down further.
+const getIndexedDomainTabs = async (domain) => {
+    await ensureTabIndex();
+    return Array.from(
+        tabIndex.domains.get(getRegistrableDomain(domain)) || [],
+        (tabId) => tabIndex.tabs.get(tabId),
     );
 };
 
-const getWindowCountableTabs = async (options, windowId) => {
-    if (typeof windowId !== "number") {
-        return getFocusedWindowCountableTabs(options);
+const getIndexedWindow = async (windowId) => {
+    await ensureTabIndex();
+    return tabIndex.windows.get(windowId) || null;
+};
+
+const getNormalWindows = async (populate) => {
+    await ensureTabIndex();
+    const windows = Array.from(tabIndex.windows.values()).filter(
+        (window) => !window.type || window.type === "normal",
+    );
+
+    if (!populate) {
+        return windows.map((window) => ({ ...window }));
     }
 
-    const [queriedTabs, matchingWindow] = await Promise.all([
-        queryTabs({ windowId }),
-        invokeChromeMethod(chrome.windows, "get", windowId, { populate: true }).catch(() => null),
-    ]);
+    const tabsByWindow = new Map();
+    for (const tab of tabIndex.tabs.values()) {
+        if (!tabsByWindow.has(tab.windowId)) {
+            tabsByWindow.set(tab.windowId, []);
+        }
+        tabsByWindow.get(tab.windowId).push(tab);
+    }
 
-    return filterCountableTabs(
-        mergeTabsById(queriedTabs, matchingWindow ? matchingWindow.tabs : []),
-        options,
-    );
+    return windows.map((window) => ({ ...window, tabs: tabsByWindow.get(window.id) || [] }));
 };
 
-const windowRemaining = (options) =>
-    getFocusedWindowCountableTabs(options).then((tabs) => options.maxWindow - tabs.length);
+// Registered before the listeners that enforce limits so those see the change.
+chrome.tabs.onCreated.addListener((tab) => applyToTabIndex(() => indexTab(tab)));
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) =>
+    applyToTabIndex(() => (tab ? indexTab(tab) : updateIndexedTab(tabId, changeInfo))),
+);
+
+chrome.tabs.onRemoved.addListener((tabId) => applyToTabIndex(() => unindexTab(tabId)));
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) =>
+    applyToTabIndex(() =>
+        updateIndexedTab(tabId, {
+            windowId: attachInfo.newWindowId,
+            index: attachInfo.newPosition,
+        }),
+    ),
+);
+
+chrome.tabs.onMoved.addListener((tabId, moveInfo) =>
+    applyToTabIndex(() => updateIndexedTab(tabId, { index: moveInfo.toIndex })),
+);
+
+// lastAccessed is not reported through events; activation is the closest signal.
+chrome.tabs.onActivated.addListener((activeInfo) =>
+    applyToTabIndex(() => {
+        for (const tab of tabIndex.tabs.values()) {
+            if (tab.windowId === activeInfo.windowId && tab.active && tab.id !== activeInfo.tabId) {
+                updateIndexedTab(tab.id, { active: false });
+            }
+        }
+        updateIndexedTab(activeInfo.tabId, { active: true, lastAccessed: Date.now() });
+    }),
+);
+
+if (chrome.tabs.onReplaced) {
+    chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+        applyToTabIndex(() => unindexTab(removedTabId));
+        getTabById(addedTabId)
+            .then((tab) => applyToTabIndex(() => indexTab(tab)))
+            .catch((error) => console.error("Error indexing replaced tab:", error));
+    });
+}
+
+chrome.windows.onCreated.addListener((window) => applyToTabIndex(() => indexWindow(window)));
 
-const totalRemaining = (options) =>
-    getAllCountableTabs(options).then((tabs) => options.maxTotal - tabs.length);
+chrome.windows.onRemoved.addListener((windowId) =>
+    applyToTabIndex(() => {
+        tabIndex.windows.delete(windowId);
+        for (const tab of Array.from(tabIndex.tabs.values())) {
+            if (tab.windowId === windowId) {
+                unindexTab(tab.id);
+            }
+        }
+    }),
+);
 
-const normalizeNumber = (value, fallback, min = 1, max = 9999) => {
-    const parsed = parseInt(value, 10);
-    if (Number.isNaN(parsed)) return fallback;
-    return Math.min(max, Math.max(min, parsed));
+chrome.windows.onFocusChanged.addListener((windowId) =>
+    applyToTabIndex(() => {
+        for (const window of tabIndex.windows.values()) {
+            window.focused = window.id === windowId;
+        }
+    }),
+);
+
+// With separate private limits, normal and incognito tabs draw from their own budgets.
+const isInBudget = (tab, options, incognito) =>
+    !options.separateIncognitoLimits || Boolean(tab.incognito) === Boolean(incognito);
+
+// Tabs in popup and devtools windows do not count, as in the popup's totals.
+const getAllCountableTabs = async (options, incognito = false) => {
+    const [tabs, windows] = await Promise.all([getIndexedTabs(), getNormalWindows(false)]);
+    const normalWindowIds = new Set(windows.map((window) => window.id));
+    return filterCountableTabs(tabs, options).filter(
+        (tab) => normalWindowIds.has(tab.windowId) && isInBudget(tab, options, incognito),
+    );
 };
 
-const getDomainFromUrl = (url) => {
-    if (!url) return null;
+const getFocusedWindow = async () => {
+    const windows = await getNormalWindows(true);
+    return windows.find((window) => window.focused) || windows[0] || null;
+};
 
-    try {
-        const parsedUrl = new URL(url);
-        if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
-            return null;
-        }
+const getFocusedWindowCountableTabs = async (options) => {
+    const focusedWindow = await getFocusedWindow();
 
-        return parsedUrl.hostname.toLowerCase().replace(/^www\./, "");
-    } catch (error) {
-        return null;
+    if (!focusedWindow || typeof focusedWindow.id !== "number") {
+        return [];
     }
+
+    return filterCountableTabs(focusedWindow.tabs, options);
 };
 
-const getTabUrl = (tab) => (tab && (tab.pendingUrl || tab.url)) || null;
+const getWindowCountableTabs = async (options, windowId) => {
+    if (typeof windowId !== "number") {
+        return getFocusedWindowCountableTabs(options);
+    }
+
+    const tabs = await getIndexedTabs();
+    return filterCountableTabs(
+        tabs.filter((tab) => tab.windowId === windowId),
+        options,
+    );
+};
 
-const buildTopDomains = (tabs, maxItems = 8) => {
+const buildTopDomains = (tabs, options, maxItems = 8) => {
     const domainCounts = new Map();
 
     for (const tab of tabs) {
-        const domain = getDomainFromUrl(getTabUrl(tab));
+        const domain = getGroupedDomain(getTabUrl(tab), options);
         if (!domain) {
             continue;
         }
@@ -217,28 +466,132 @@ const buildTopDomains = (tabs, maxItems = 8) => {
             b[1].count !== a[1].count ? b[1].count - a[1].count : a[0].localeCompare(b[0]),
         )
         .slice(0, maxItems)
-        .map(([domain, data]) => ({ domain, count: data.count, faviconUrl: data.faviconUrl }));
+        .map(([domain, data]) => ({
+            domain,
+            count: data.count,
+            faviconUrl: data.faviconUrl,
+            limit: getDomainLimit(options, domain),
+        }));
 };
 
 const getTabSnapshot = async (options) => {
-    const maxTotal = normalizeNumber(options.maxTotal, 50);
-    const maxWindow = normalizeNumber(options.maxWindow, 20);
-    const [globalTabs, windowTabs, windows] = await Promise.all([
+    const [globalTabs, incognitoTabs, windowTabs, windows, focusedWindow] = await Promise.all([
         getAllCountableTabs(options),
+        options.separateIncognitoLimits ? getAllCountableTabs(options, true) : [],
         getFocusedWindowCountableTabs(options),
         getNormalWindows(false),
+        getFocusedWindow(),
     ]);
-
-    return {
+    const { maxTotal } = getBudgetLimits(options, false);
+    const maxWindow = getWindowLimit(
+        options,
+        focusedWindow && focusedWindow.id,
+        focusedWindow && focusedWindow.incognito,
+    );
+    const snapshot = {
         globalOpen: globalTabs.length,
         globalLeft: Math.max(0, maxTotal - globalTabs.length),
         windowOpen: windowTabs.length,
         windowLeft: Math.max(0, maxWindow - windowTabs.length),
-        windowCount: windows.length,
-        topDomains: buildTopDomains(globalTabs),
+        windowCount: windows.filter(
+            (window) => !options.separateIncognitoLimits || !window.incognito,
+        ).length,
+        topDomains: buildTopDomains(globalTabs, options),
     };
+
+    if (options.separateIncognitoLimits) {
+        const incognitoLimits = getBudgetLimits(options, true);
+        snapshot.incognitoOpen = incognitoTabs.length;
+        snapshot.incognitoLeft = Math.max(0, incognitoLimits.maxTotal - incognitoTabs.length);
+        snapshot.incognitoWindowCount = windows.filter((window) => window.incognito).length;
+    }
+
+    return snapshot;
+};
+
+const DEFAULT_ACTION_TITLE = "Tab Limiter";
+// For badges that show no usage band, like the snooze badge.
+const DEFAULT_BADGE_COLOR = "#6b7280";
+
+// Usage of every limit that applies to the focused window and its active tab.
+const getBadgeScopes = async (options, focusedWindow) => {
+    const incognito = Boolean(focusedWindow && focusedWindow.incognito);
+    const windowId = focusedWindow && focusedWindow.id;
+    const [allTabs, windowTabs, windowName] = await Promise.all([
+        getAllCountableTabs(options, incognito),
+        getFocusedWindowCountableTabs(options),
+        typeof windowId === "number" ? getWindowName(windowId) : "",
+    ]);
+    const scopes = [
+        {
+            place: "total",
+            label: incognito && options.separateIncognitoLimits ? "Private" : "Total",
+            count: allTabs.length,
+            limit: getBudgetLimits(options, incognito).maxTotal,
+        },
+        {
+            place: "window",
+            label: windowName ? `Window "${windowName}"` : "Window",
+            count: windowTabs.length,
+            limit: getWindowLimit(options, windowId, incognito),
+        },
+    ];
+
+    const activeTab = ((focusedWindow && focusedWindow.tabs) || []).find((tab) => tab.active);
+    const url = getTabUrl(activeTab);
+    if (!url || isExemptTab(activeTab, options)) {
+        return scopes;
+    }
+
+    const domain = options.enableDomainLimit ? getGroupedDomain(url, options) : null;
+    if (domain) {
+        scopes.push({
+            place: "domain",
+            label: domain,
+            count: allTabs.filter((openTab) => getGroupedDomain(getTabUrl(openTab), options) === domain)
+                .length,
+            limit: getDomainLimit(options, domain),
+        });
+    }
+
+    for (const rule of getMatchingUrlRules(url, options)) {
+        scopes.push({
+            place: "rule",
+            label: rule.pattern,
+            count: allTabs.filter((openTab) => matchesUrlRule(getTabUrl(openTab), rule)).length,
+            limit: rule.limit,
+        });
+    }
+
+    return scopes;
+};
+
+const getScopeRemaining = (scope) => (scope ? scope.limit - scope.count : null);
+
+// What the badge can show; see the badgeContent option. Domain counts are blank
+// when the active tab has no domain limit.
+const BADGE_CONTENT = {
+    minRemaining: (scopes) =>
+        Math.min(getScopeRemaining(scopes.total), getScopeRemaining(scopes.window)),
+    totalOpen: (scopes) => scopes.total.count,
+    windowOpen: (scopes) => scopes.window.count,
+    totalRemaining: (scopes) => getScopeRemaining(scopes.total),
+    windowRemaining: (scopes) => getScopeRemaining(scopes.window),
+    domainRemaining: (scopes) => getScopeRemaining(scopes.domain),
 };
 
+const formatBadgeTitle = (scopes) =>
+    [
+        DEFAULT_ACTION_TITLE,
+        ...scopes.map(
+            (scope) =>
+                `${scope.label}: ${scope.count} of ${scope.limit} open, ${Math.max(
+                    0,
+                    scope.limit - scope.count,
+                )} left`,
+        ),
+    ].join("\n");
+
 const updateBadge = (options) => {
     // Handle case when no options are provided
     if (!options) {
@@ -246,16 +599,44 @@ const updateBadge = (options) => {
         return;
     }
 
+    if (options.snooze) {
+        chrome.action.setBadgeText({ text: "zz" });
+        chrome.action.setBadgeBackgroundColor({ color: DEFAULT_BADGE_COLOR });
+        chrome.action.setTitle({ title: `${DEFAULT_ACTION_TITLE} (limits snoozed)` });
+        return;
+    }
+
     if (!options.displayBadge) {
         chrome.action.setBadgeText({ text: "" });
+        chrome.action.setBadgeBackgroundColor({ color: DEFAULT_BADGE_COLOR });
+        chrome.action.setTitle({ title: DEFAULT_ACTION_TITLE });
         return;
     }
 
-    Promise.all([windowRemaining(options), totalRemaining(options)])
-        .then((remaining) => {
-            chrome.action.setBadgeText({
-                text: Math.min(...remaining).toString(),
+    getFocusedWindow()
+        .then(async (focusedWindow) => {
+            const scopes = await getBadgeScopes(options, focusedWindow);
+            const scopesByPlace = {};
+            for (const scope of scopes) {
+                if (!scopesByPlace[scope.place]) {
+                    scopesByPlace[scope.place] = scope;
+                }
+            }
+
+            const getContent = BADGE_CONTENT[options.badgeContent] || BADGE_CONTENT.minRemaining;
+            const content = getContent(scopesByPlace);
+
+            chrome.action.setBadgeText({ text: content === null ? "" : content.toString() });
+
+            // Colored by the fullest limit, in the same bands as the popup progress bars.
+            const usage = Math.max(...scopes.map((scope) => scope.count / scope.limit));
+            chrome.action.setBadgeBackgroundColor({
+                color:
+                    scopes.length > 0
+                        ? USAGE_BAND_COLORS[getUsageBand(usage * 100)]
+                        : DEFAULT_BADGE_COLOR,
             });
+            chrome.action.setTitle({ title: formatBadgeTitle(scopes) });
         })
         .catch((error) => {
             console.error("Error updating badge:", error);
@@ -265,33 +646,75 @@ const updateBadge = (options) => {
 // ----------------------------------------------------------------------------
 
 const detectTooManyTabsInWindow = async (options, tab) => {
-    const maxWindow = normalizeNumber(options.maxWindow, 20);
+    const maxWindow = getWindowLimit(options, tab && tab.windowId, tab && tab.incognito);
     const tabs = await getWindowCountableTabs(options, tab && tab.windowId);
     return tabs.length > maxWindow ? "window" : null;
 };
 
-const detectTooManyTabsInTotal = async (options) => {
-    const maxTotal = normalizeNumber(options.maxTotal, 50);
-    const tabs = await getAllCountableTabs(options);
+const detectTooManyTabsInTotal = async (options, tab) => {
+    const incognito = Boolean(tab && tab.incognito);
+    const { maxTotal } = getBudgetLimits(options, incognito);
+    const tabs = await getAllCountableTabs(options, incognito);
     return tabs.length > maxTotal ? "total" : null;
 };
 
+// Chrome only; other browsers report no group for every tab.
+const TAB_GROUP_ID_NONE = -1;
+
+const isGroupLimitActive = (options, tab) =>
+    Boolean(
+        options.enableGroupLimit &&
+            chrome.tabGroups &&
+            tab &&
+            typeof tab.groupId === "number" &&
+            tab.groupId !== TAB_GROUP_ID_NONE,
+    );
+
+const getGroupCountableTabs = async (options, tab) => {
+    const tabs = await getWindowCountableTabs(options, tab.windowId);
+    return tabs.filter((openTab) => openTab.groupId === tab.groupId);
+};
+
+const getGroupTitle = async (groupId) => {
+    if (!chrome.tabGroups) {
+        return "";
+    }
+
+    try {
+        const group = await invokeChromeMethod(chrome.tabGroups, "get", groupId);
+        return (group && group.title) || "";
+    } catch (error) {
+        return "";
+    }
+};
+
+const detectTooManyTabsInGroup = async (options, tab) => {
+    if (!isGroupLimitActive(options, tab)) {
+        return null;
+    }
+
+    const tabs = await getGroupCountableTabs(options, tab);
+    return tabs.length > normalizeNumber(options.maxGroup, 10) ? "group" : null;
+};
+
 const detectTooManyTabsInDomain = async (options, tab) => {
     if (!options.enableDomainLimit) {
         return null;
     }
 
-    const maxDomain = normalizeNumber(options.maxDomain, 10);
-    const domain = getDomainFromUrl(getTabUrl(tab));
+    const domain = getGroupedDomain(getTabUrl(tab), options);
     if (!domain) {
         return null;
     }
 
-    const tabs = await getAllCountableTabs(options);
+    const maxDomain = getDomainLimit(options, domain);
+    const tabs = filterCountableTabs(await getIndexedDomainTabs(domain), options).filter(
+        (openTab) => isInBudget(openTab, options, tab.incognito),
+    );
     let domainCount = 0;
 
     for (const openTab of tabs) {
-        if (getDomainFromUrl(getTabUrl(openTab)) === domain) {
+        if (getGroupedDomain(getTabUrl(openTab), options) === domain) {
             domainCount += 1;
             if (domainCount > maxDomain) {
                 return "domain";
@@ -302,115 +725,2000 @@ const detectTooManyTabsInDomain = async (options, tab) => {
     return null;
 };
 
+// The matching rule with the fewest free slots, and the tabs it counts.
+const getFullestUrlRule = async (options, tab) => {
+    const url = getTabUrl(tab);
+    const rules = url ? getMatchingUrlRules(url, options) : [];
+    if (rules.length === 0) {
+        return null;
+    }
+
+    const allTabs = await getAllCountableTabs(options, tab.incognito);
+    let fullest = null;
+
+    for (const rule of rules) {
+        const tabs = allTabs.filter((openTab) => matchesUrlRule(getTabUrl(openTab), rule));
+        if (!fullest || rule.limit - tabs.length < fullest.rule.limit - fullest.tabs.length) {
+            fullest = { rule, tabs };
+        }
+    }
+
+    return fullest;
+};
+
+const detectTooManyTabsInUrlRule = async (options, tab) => {
+    const fullest = await getFullestUrlRule(options, tab);
+    return fullest && fullest.tabs.length > fullest.rule.limit ? "rule" : null;
+};
+
 const detectExceededLimit = async (options, tab) => {
+    if (isEnforcementPaused(options) || isExemptTab(tab, options) || isLimitBypassed(tab)) {
+        return null;
+    }
+
     return (
-        (await detectTooManyTabsInTotal(options)) ||
+        (await detectTooManyTabsInTotal(options, tab)) ||
         (await detectTooManyTabsInDomain(options, tab)) ||
+        (await detectTooManyTabsInUrlRule(options, tab)) ||
+        (await detectTooManyTabsInGroup(options, tab)) ||
         (await detectTooManyTabsInWindow(options, tab))
     );
 };
 
-// get user options from storage
-const getOptions = async () => {
-    const defaults = await invokeChromeMethod(chrome.storage.sync, "get", "defaultOptions");
-    return invokeChromeMethod(chrome.storage.sync, "get", defaults.defaultOptions);
+// ----------------------------------------------------------------------------
+// Soft-limit warnings
+
+const WARNED_SCOPES_KEY = "warnedScopes";
+
+// Badge colors for each usage band (see getUsageBand in settings.js).
+const USAGE_BAND_COLORS = {
+    purple: "#7c3aed",
+    blue: "#2563eb",
+    green: "#059669",
+    yellow: "#ca8a04",
+    orange: "#ea580c",
+    red: "#dc2626",
 };
 
-const displayAlert = (options, place, movedToOtherWindow = false) =>
-    new Promise((res) => {
-        if (!options.displayAlert) {
-            return res(false);
-        }
+// Percentage of a limit at which to warn; 0 disables warnings.
+const getWarningThreshold = (options) => {
+    const threshold = parseInt(options.warningThreshold, 10);
+    return threshold > 0 && threshold < 100 ? threshold : 0;
+};
 
-        const replacer = (_, p1) => {
-            switch (p1) {
-                case "place":
-                case "which": // backwards compatibility
-                    if (place === "window") return "one window";
-                    if (place === "domain") return "one domain";
-                    return "total";
+let warnedScopesWrite = Promise.resolve();
 
-                case "maxPlace":
-                case "maxWhich": // backwards compatibility
-                    return options["max" + capitalizeFirstLetter(place)];
+const getWarnedScopes = async () => {
+    const scopeIds = await getSessionValue(WARNED_SCOPES_KEY, []);
+    return Array.isArray(scopeIds) ? scopeIds : [];
+};
 
-                default:
-                    return options[p1] || "?";
-            }
-        };
+const setWarnedScopes = (scopeIds) => setSessionValue(WARNED_SCOPES_KEY, scopeIds);
+
+const getWarningScopes = async (options, tab) => {
+    const incognito = Boolean(tab.incognito);
+    const { maxTotal } = getBudgetLimits(options, incognito);
+    const tabs = await getAllCountableTabs(options, incognito);
+    const scopes = [
+        {
+            id: `total:${incognito ? "private" : "normal"}`,
+            place: "total",
+            count: tabs.length,
+            limit: maxTotal,
+        },
+        {
+            id: `window:${tab.windowId}`,
+            place: "window",
+            count: tabs.filter((openTab) => openTab.windowId === tab.windowId).length,
+            limit: getWindowLimit(options, tab.windowId, incognito),
+        },
+    ];
+
+    const domain = options.enableDomainLimit ? getGroupedDomain(getTabUrl(tab), options) : null;
+    if (domain) {
+        scopes.push({
+            id: `domain:${domain}`,
+            place: "domain",
+            domain,
+            count: tabs.filter((openTab) => getGroupedDomain(getTabUrl(openTab), options) === domain)
+                .length,
+            limit: getDomainLimit(options, domain),
+        });
+    }
 
-        let renderedMessage = options.alertMessage.replace(/{\s*(\S+)\s*}/g, replacer);
+    for (const rule of getMatchingUrlRules(getTabUrl(tab), options)) {
+        scopes.push({
+            id: `rule:${rule.id}`,
+            place: "rule",
+            pattern: rule.pattern,
+            count: tabs.filter((openTab) => matchesUrlRule(getTabUrl(openTab), rule)).length,
+            limit: rule.limit,
+        });
+    }
 
-        // Prepend "Opened in another window" when tab is moved due to exceedTabNewWindow
-        if (movedToOtherWindow && options.exceedTabNewWindow && place === "window") {
-            renderedMessage = "Opened in another window. " + renderedMessage;
-        }
+    return scopes;
+};
 
-        // Use notifications instead of alert() for Manifest V3
-        chrome.notifications.create({
-            type: "basic",
-            iconUrl: "assets/icon48.png",
-            title: "Tab Limiter",
-            message: renderedMessage,
-        });
+const displayWarning = (scope, incognito) => {
+    let placeText = incognito ? "in private windows" : "in total";
+    if (scope.place === "window") placeText = "in this window";
+    if (scope.place === "domain") placeText = `on ${scope.domain}`;
+    if (scope.place === "rule") placeText = `matching ${scope.pattern}`;
+
+    chrome.notifications.create({
+        type: "basic",
+        iconUrl: "assets/icon48.png",
+        title: "Tab Limiter",
+        message: `${scope.count} of ${scope.limit} tabs open ${placeText} (${Math.round(
+            (scope.count / scope.limit) * 100,
+        )}%).`,
     });
+};
 
-const pendingLimitCheckTabIds = new Set();
-
-const scheduleTabLimitRecheck = (tabId, delay = 100) => {
-    if (typeof tabId !== "number") {
-        return;
+// Warn once when a scope crosses the threshold; the flag is cleared once the
+// scope drops below it again, so the next crossing warns again.
+const checkSoftLimits = (options, tab) => {
+    const threshold = getWarningThreshold(options);
+    if (!options.displayAlert || !threshold || !tab || isExemptTab(tab, options)) {
+        return Promise.resolve();
     }
 
-    pendingLimitCheckTabIds.add(tabId);
-
-    setTimeout(async () => {
-        if (!pendingLimitCheckTabIds.has(tabId)) {
-            return;
+    const check = warnedScopesWrite.then(async () => {
+        const [scopes, warnedScopeIds] = await Promise.all([
+            getWarningScopes(options, tab),
+            getWarnedScopes(),
+        ]);
+        const warnedScopes = new Set(warnedScopeIds);
+        const crossedScopes = [];
+
+        for (const scope of scopes) {
+            if (scope.count * 100 < scope.limit * threshold) {
+                warnedScopes.delete(scope.id);
+            } else if (!warnedScopes.has(scope.id) && scope.count <= scope.limit) {
+                warnedScopes.add(scope.id);
+                crossedScopes.push(scope);
+            }
         }
 
-        try {
-            const [tab, options] = await Promise.all([getTabById(tabId), getOptions()]);
-
-            if (!tab) {
-                return;
-            }
+        await setWarnedScopes([...warnedScopes]);
 
-            const exceededPlace = await detectExceededLimit(options, tab);
-            if (exceededPlace) {
-                await handleExceedTabs(tab, options, exceededPlace);
-                updateBadge(options);
-            }
-        } catch (error) {
-            console.error("Error rechecking tab limits after creation:", error);
-        } finally {
-            pendingLimitCheckTabIds.delete(tabId);
+        if (crossedScopes.length > 0) {
+            displayWarning(
+                crossedScopes[0],
+                Boolean(options.separateIncognitoLimits && tab.incognito),
+            );
         }
-    }, delay);
+    });
+
+    warnedScopesWrite = check.catch((error) => console.error("Error checking soft limits:", error));
+    return warnedScopesWrite;
 };
 
-// For Manifest V3 service worker, we need to track state differently
+// ----------------------------------------------------------------------------
+// Limit schedules
+
+const SCHEDULE_ALARM_NAME = "scheduleBoundary";
+const SCHEDULE_LIMIT_KEYS = ["maxTotal", "maxWindow", "maxDomain"];
+const MINUTES_PER_DAY = 24 * 60;
+
+// "HH:MM" -> minutes after midnight; "24:00" is allowed as an end time.
+const parseTimeOfDay = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) {
+        return null;
+    }
+
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= MINUTES_PER_DAY ? minutes : null;
+};
+
+const getScheduleRange = (schedule) => {
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+
+    if (start === null || end === null || start === end || !Array.isArray(schedule.days)) {
+        return null;
+    }
+
+    return { start, end, days: schedule.days };
+};
+
+// Blocks that end before they start run overnight and belong to the day they start on.
+const isScheduleActiveAt = (schedule, date) => {
+    const range = getScheduleRange(schedule);
+    if (!range) {
+        return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    if (range.start < range.end) {
+        return range.days.includes(day) && minutes >= range.start && minutes < range.end;
+    }
+
+    return (
+        (range.days.includes(day) && minutes >= range.start) ||
+        (range.days.includes((day + 6) % 7) && minutes < range.end)
+    );
+};
+
+const getActiveSchedule = (schedules, date = new Date()) =>
+    (schedules || []).find(
+        (schedule) => schedule.enabled !== false && isScheduleActiveAt(schedule, date),
+    ) || null;
+
+// Start and end times of every enabled block over the coming week, in order.
+const getUpcomingScheduleEdges = (schedules, now = new Date()) => {
+    const edges = [];
+
+    for (const schedule of schedules || []) {
+        const range = schedule.enabled !== false && getScheduleRange(schedule);
+        if (!range) {
+            continue;
+        }
+
+        for (let dayOffset = -1; dayOffset <= 7; dayOffset++) {
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+            if (!range.days.includes(day.getDay())) {
+                continue;
+            }
+
+            const endOffset = range.end > range.start ? range.end : range.end + MINUTES_PER_DAY;
+            const startsAt = new Date(day.getTime()).setMinutes(range.start);
+            const endsAt = new Date(day.getTime()).setMinutes(endOffset);
+
+            if (startsAt > now.getTime()) edges.push({ schedule, type: "start", time: startsAt });
+            if (endsAt > now.getTime()) edges.push({ schedule, type: "end", time: endsAt });
+        }
+    }
+
+    return edges.sort((a, b) => a.time - b.time);
+};
+
+const getScheduleStatus = (schedules, now = new Date()) => {
+    const activeSchedule = getActiveSchedule(schedules, now);
+    const edges = getUpcomingScheduleEdges(schedules, now);
+    const activeEnd =
+        activeSchedule &&
+        edges.find((edge) => edge.type === "end" && edge.schedule === activeSchedule);
+    const nextStart = edges.find(
+        (edge) => edge.type === "start" && edge.schedule !== activeSchedule,
+    );
+
+    return {
+        active: activeSchedule
+            ? {
+                  id: activeSchedule.id,
+                  name: activeSchedule.name,
+                  endsAt: activeEnd ? activeEnd.time : null,
+              }
+            : null,
+        next: nextStart
+            ? { id: nextStart.schedule.id, name: nextStart.schedule.name, startsAt: nextStart.time }
+            : null,
+        nextBoundary: edges.length > 0 ? edges[0].time : null,
+    };
+};
+
+// Empty limit fields in a block keep the regular option value.
+const applyScheduleLimits = (options, date = new Date()) => {
+    const activeSchedule = getActiveSchedule(options.schedules, date);
+    if (!activeSchedule) {
+        return options;
+    }
+
+    const limits = activeSchedule.limits || {};
+    const overrides = {};
+
+    for (const key of SCHEDULE_LIMIT_KEYS) {
+        if (limits[key] !== undefined && limits[key] !== null && limits[key] !== "") {
+            overrides[key] = normalizeNumber(limits[key], options[key]);
+        }
+    }
+
+    return { ...options, ...overrides };
+};
+
+const scheduleNextBoundaryAlarm = async (schedules) => {
+    if (!chrome.alarms) {
+        return;
+    }
+
+    const { nextBoundary } = getScheduleStatus(schedules);
+    await invokeChromeMethod(chrome.alarms, "clear", SCHEDULE_ALARM_NAME);
+
+    if (nextBoundary) {
+        chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: nextBoundary });
+    }
+};
+
+// get user options from storage, with the limits of the active schedule applied
+const getStoredOptions = () => invokeChromeMethod(chrome.storage.sync, "get", DEFAULT_OPTIONS);
+
+// Bring stored settings up to SETTINGS_VERSION (see settings.js).
+const migrateStoredSettings = async () => {
+    const stored = await invokeChromeMethod(chrome.storage.sync, "get", null);
+    const storedVersion = normalizeNumber(stored[SETTINGS_VERSION_KEY], 1, 1, SETTINGS_VERSION);
+
+    if (storedVersion === SETTINGS_VERSION) {
+        return;
+    }
+
+    const migrated = upgradeSettings(stored, storedVersion);
+    const removedKeys = Object.keys(stored).filter((key) => !(key in migrated));
+
+    if (removedKeys.length > 0) {
+        await invokeChromeMethod(chrome.storage.sync, "remove", removedKeys);
+    }
+
+    await invokeChromeMethod(chrome.storage.sync, "set", {
+        ...migrated,
+        [SETTINGS_VERSION_KEY]: SETTINGS_VERSION,
+    });
+};
+
+// ----------------------------------------------------------------------------
+// Snooze
+
+const SNOOZE_KEY = "snooze";
+const SNOOZE_ALARM_NAME = "snoozeEnd";
+const TRIM_OFFER_KEY = "trimOffer";
+const SNOOZE_LIMIT_KEYS = [
+    "maxTotal",
+    "maxWindow",
+    "maxDomain",
+    "maxGroup",
+    "maxIncognitoTotal",
+    "maxIncognitoWindow",
+];
+
+const getSnooze = async () => {
+    const stored = await invokeChromeMethod(chrome.storage.local, "get", { [SNOOZE_KEY]: null });
+    const snooze = stored[SNOOZE_KEY];
+    return snooze && snooze.endsAt > Date.now() ? snooze : null;
+};
+
+// A "raise" snooze adds the same number of tabs to every limit, custom domain,
+// window and URL rule limits included; a "pause" snooze leaves limits alone and stops enforcement.
+const applySnooze = (options, snooze) => {
+    if (!snooze) {
+        return options;
+    }
+
+    if (snooze.mode !== "raise") {
+        return { ...options, snooze };
+    }
+
+    const extraTabs = normalizeNumber(snooze.extraTabs, 0, 0);
+    const raised = {};
+
+    for (const key of SNOOZE_LIMIT_KEYS) {
+        const limit = parseInt(options[key], 10);
+        if (!Number.isNaN(limit)) {
+            raised[key] = limit + extraTabs;
+        }
+    }
+
+    const domainLimits = {};
+    for (const [domain, limit] of Object.entries(options.domainLimits || {})) {
+        domainLimits[domain] = normalizeNumber(limit, 1) + extraTabs;
+    }
+
+    const windowLimits = {};
+    for (const [windowId, limit] of Object.entries(options.windowLimits || {})) {
+        windowLimits[windowId] = normalizeNumber(limit, 1) + extraTabs;
+    }
+
+    const urlRules = getUrlRules(options).map((rule) => ({ ...rule, limit: rule.limit + extraTabs }));
+
+    return { ...options, ...raised, domainLimits, windowLimits, urlRules, snooze };
+};
+
+const isEnforcementPaused = (options) => Boolean(options.snooze && options.snooze.mode === "pause");
+
+const getOptions = async () => {
+    const [storedOptions, snooze, windowLimits] = await Promise.all([
+        getStoredOptions(),
+        getSnooze(),
+        getWindowLimits(),
+    ]);
+    return applySnooze(applyScheduleLimits({ ...storedOptions, windowLimits }), snooze);
+};
+
+const startSnooze = async ({ mode, minutes, extraTabs }) => {
+    const now = Date.now();
+    const snooze = {
+        mode: mode === "raise" ? "raise" : "pause",
+        extraTabs: mode === "raise" ? normalizeNumber(extraTabs, 10, 1, 500) : 0,
+        startedAt: now,
+        endsAt: now + normalizeNumber(minutes, 60, 1, 24 * 60) * 60 * 1000,
+    };
+
+    await invokeChromeMethod(chrome.storage.local, "set", { [SNOOZE_KEY]: snooze });
+    await setSessionValue(TRIM_OFFER_KEY, null);
+
+    if (chrome.alarms) {
+        chrome.alarms.create(SNOOZE_ALARM_NAME, { when: snooze.endsAt });
+    }
+
+    updateBadge(await getOptions());
+    return snooze;
+};
+
+const hasExcessTabs = (report) =>
+    report.totalExcess > 0 || report.windows.length > 0 || report.scopes.length > 0;
+
+const notifySnoozeEnded = (report) => {
+    const excess = Math.max(
+        report.totalExcess,
+        ...report.windows.map((window) => window.excess),
+        ...report.scopes.map((scope) => scope.excess),
+    );
+    const action = { kind: "snoozeEnded" };
+    const commands = getNotificationCommands(action);
+    const notification = {
+        type: "basic",
+        iconUrl: "assets/icon48.png",
+        title: "Tab Limiter",
+        message: `Snooze ended. You are ${excess} ${excess === 1 ? "tab" : "tabs"} over your limits.${
+            commands.length > 0 ? "" : " Open Tab Limiter to trim them."
+        }`,
+    };
+
+    if (commands.length > 0) {
+        notification.buttons = commands.map((command) => ({
+            title: NOTIFICATION_COMMAND_TITLES[command],
+        }));
+    }
+
+    chrome.notifications.create(notification, (notificationId) => {
+        if (commands.length > 0 && notificationId) {
+            rememberNotificationAction(notificationId, action).catch((error) =>
+                console.error("Error saving notification action:", error),
+            );
+        }
+    });
+};
+
+// Ending a snooze leaves any extra tabs open and offers to trim them instead.
+const endSnooze = async ({ notify = false } = {}) => {
+    await invokeChromeMethod(chrome.storage.local, "remove", SNOOZE_KEY);
+
+    if (chrome.alarms) {
+        await invokeChromeMethod(chrome.alarms, "clear", SNOOZE_ALARM_NAME);
+    }
+
+    const options = await getOptions();
+    updateBadge(options);
+
+    const report = await getOverLimitReport(options);
+    if (!hasExcessTabs(report)) {
+        return report;
+    }
+
+    await setSessionValue(TRIM_OFFER_KEY, report);
+    if (notify) {
+        notifySnoozeEnded(report);
+    }
+
+    return report;
+};
+
+const trimAfterOffer = async () => {
+    const closedTabs = await trimTabsToLimits(await getOptions());
+    await setSessionValue(TRIM_OFFER_KEY, null);
+    getOptions().then(updateBadge);
+    return closedTabs;
+};
+
+const formatTabTitle = (tab) => {
+    const title = (tab && (tab.title || getTabUrl(tab))) || "a tab";
+    return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+};
+
+const displayAlert = (
+    options,
+    place,
+    {
+        movedToOtherWindow = false,
+        limit,
+        closedTabs = [],
+        discardedTabs = [],
+        incognito = false,
+        groupTitle = "",
+        windowName = "",
+        rulePattern = "",
+        action = null,
+    } = {},
+) =>
+    new Promise((res) => {
+        if (!options.displayAlert) {
+            return res(false);
+        }
+
+        const replacer = (_, p1) => {
+            switch (p1) {
+                case "place":
+                    if (place === "window") {
+                        if (windowName) return `the "${windowName}" window`;
+                        return incognito ? "one private window" : "one window";
+                    }
+                    if (place === "domain") return "one domain";
+                    if (place === "group") return groupTitle ? `the "${groupTitle}" group` : "one group";
+                    if (place === "rule") return rulePattern ? `the "${rulePattern}" rule` : "one URL rule";
+                    return incognito ? "private windows" : "total";
+
+                case "maxPlace":
+                    if (limit !== undefined) return limit;
+                    return options["max" + capitalizeFirstLetter(place)];
+
+                default:
+                    return options[p1] || "?";
+            }
+        };
+
+        let renderedMessage = options.alertMessage.replace(/{\s*(\S+)\s*}/g, replacer);
+
+        // Prepend "Opened in another window" when tab is moved due to exceedTabNewWindow
+        if (movedToOtherWindow && options.exceedTabNewWindow && place === "window") {
+            renderedMessage = "Opened in another window. " + renderedMessage;
+        }
+
+        if (closedTabs.length > 0) {
+            const closedTitles = closedTabs.map((closedTab) => `"${formatTabTitle(closedTab)}"`);
+            renderedMessage = `Closed ${closedTitles.join(", ")} to make room. ` + renderedMessage;
+        }
+
+        if (discardedTabs.length > 0) {
+            const discardedTitles = discardedTabs.map((discardedTab) => `"${formatTabTitle(discardedTab)}"`);
+            renderedMessage = `Unloaded ${discardedTitles.join(", ")} to make room. ` + renderedMessage;
+        }
+
+        // Use notifications instead of alert() for Manifest V3
+        const notification = {
+            type: "basic",
+            iconUrl: "assets/icon48.png",
+            title: "Tab Limiter",
+            message: renderedMessage,
+        };
+        const commands = getNotificationCommands(action);
+
+        if (commands.length > 0) {
+            notification.buttons = commands.map((command) => ({
+                title: NOTIFICATION_COMMAND_TITLES[command],
+            }));
+        }
+
+        chrome.notifications.create(notification, (notificationId) => {
+            if (commands.length > 0 && notificationId) {
+                rememberNotificationAction(notificationId, action).catch((error) =>
+                    console.error("Error saving notification action:", error),
+                );
+            }
+            res(true);
+        });
+    });
+
+// ----------------------------------------------------------------------------
+// Per-window limits and names
+
+// Window ids only last for a browser session, so each entry also keeps a
+// fingerprint of the window's pages. After a restart, entries are matched back
+// to the open window that still has most of those pages.
+const WINDOW_FINGERPRINT_SIZE = 50;
+const WINDOW_MATCH_MIN_OVERLAP = 0.5;
+const WINDOW_SETTINGS_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+let windowSettingsWrite = Promise.resolve();
+let windowSettingsSyncTimer = null;
+
+const getWindowSettingsList = async () =>
+    readWindowSettingsList(
+        await invokeChromeMethod(chrome.storage.local, "get", { [WINDOW_SETTINGS_KEY]: [] }),
+    );
+
+// Serialized the same way as the waiting list.
+const updateWindowSettingsList = (updater) => {
+    const write = windowSettingsWrite.then(async () => {
+        const nextList = updater(await getWindowSettingsList());
+        await invokeChromeMethod(chrome.storage.local, "set", { [WINDOW_SETTINGS_KEY]: nextList });
+        return nextList;
+    });
+
+    windowSettingsWrite = write.catch(() => {});
+    return write;
+};
+
+const getWindowLimits = async () => buildWindowLimits(await getWindowSettingsList());
+
+// Pages are stored as a hash of origin + path, so no address, query string or
+// token ends up in storage.
+const getPageHash = (url) => {
+    const { origin, pathname } = new URL(url);
+    let hash = 0x811c9dc5;
+
+    for (const char of `${origin}${pathname}`) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+};
+
+// Private windows are never fingerprinted.
+const getWindowFingerprint = (window) =>
+    window.incognito
+        ? []
+        : Array.from(
+              new Set(
+                  (window.tabs || [])
+                      .map(getTabUrl)
+                      .filter((url) => getDomainFromUrl(url))
+                      .map(getPageHash),
+              ),
+          ).slice(0, WINDOW_FINGERPRINT_SIZE);
+
+const findMatchingWindow = (entry, windows) => {
+    const urls = Array.isArray(entry.urls) ? entry.urls : [];
+    let bestWindow = null;
+    let bestOverlap = WINDOW_MATCH_MIN_OVERLAP;
+
+    if (urls.length === 0) {
+        return null;
+    }
+
+    for (const window of windows) {
+        const windowUrls = new Set(getWindowFingerprint(window));
+        const overlap = urls.filter((url) => windowUrls.has(url)).length / urls.length;
+        if (overlap >= bestOverlap) {
+            bestOverlap = overlap;
+            bestWindow = window;
+        }
+    }
+
+    return bestWindow;
+};
+
+// Keep fingerprints of open windows current and match the other entries to
+// windows nobody has claimed. Entries unmatched for a month are dropped.
+const matchWindowSettings = (list, windows) => {
+    const now = Date.now();
+    const windowsById = new Map(windows.map((window) => [window.id, window]));
+    const claimedWindowIds = new Set(
+        list.map((entry) => entry.windowId).filter((windowId) => windowsById.has(windowId)),
+    );
+
+    return list
+        .map((entry) => {
+            const ownWindow = windowsById.get(entry.windowId);
+            if (ownWindow) {
+                // A window left without web pages keeps its last fingerprint.
+                const urls = getWindowFingerprint(ownWindow);
+                return { ...entry, urls: urls.length > 0 ? urls : entry.urls, seenAt: now };
+            }
+
+            const matchedWindow = findMatchingWindow(
+                entry,
+                windows.filter((window) => !claimedWindowIds.has(window.id)),
+            );
+            if (!matchedWindow) {
+                return { ...entry, windowId: null };
+            }
+
+            claimedWindowIds.add(matchedWindow.id);
+            return { ...entry, windowId: matchedWindow.id, seenAt: now };
+        })
+        .filter((entry) => entry.windowId !== null || now - entry.seenAt < WINDOW_SETTINGS_MAX_AGE_MS);
+};
+
+const syncWindowSettings = async () => {
+    if ((await getWindowSettingsList()).length === 0) {
+        return;
+    }
+
+    const windows = await getNormalWindows(true);
+    await updateWindowSettingsList((list) => matchWindowSettings(list, windows));
+};
+
+// Batches the tab changes of a restored or busy window into one write.
+const scheduleWindowSettingsSync = () => {
+    if (windowSettingsSyncTimer) {
+        clearTimeout(windowSettingsSyncTimer);
+    }
+
+    windowSettingsSyncTimer = setTimeout(() => {
+        windowSettingsSyncTimer = null;
+        syncWindowSettings().catch((error) => console.error("Error syncing window settings:", error));
+    }, 3000);
+};
+
+// An empty name and limit remove the window's entry.
+const setWindowSettings = async (windowId, { name, maxWindow }) => {
+    const [window] = (await getNormalWindows(true)).filter((openWindow) => openWindow.id === windowId);
+    if (!window) {
+        return null;
+    }
+
+    const cleanName = typeof name === "string" ? name.trim().slice(0, 40) : "";
+    const limit = normalizeNumber(maxWindow, null, 1, 1337);
+
+    const list = await updateWindowSettingsList((storedList) => {
+        const existing = storedList.find((entry) => entry.windowId === windowId);
+        const others = storedList.filter((entry) => entry !== existing);
+
+        if (!cleanName && !limit) {
+            return others;
+        }
+
+        return [
+            ...others,
+            {
+                id: existing ? existing.id : `window-${Date.now()}`,
+                windowId,
+                name: cleanName,
+                maxWindow: limit,
+                urls: getWindowFingerprint(window),
+                seenAt: Date.now(),
+            },
+        ];
+    });
+
+    return list.find((entry) => entry.windowId === windowId) || null;
+};
+
+const getWindowName = async (windowId) => {
+    const entry = (await getWindowSettingsList()).find((stored) => stored.windowId === windowId);
+    return (entry && entry.name) || "";
+};
+
+// Window ids from the previous session may be reused, so every entry is
+// matched again from its URLs.
+chrome.runtime.onStartup.addListener(() => {
+    updateWindowSettingsList((list) => list.map((entry) => ({ ...entry, windowId: null })))
+        .then(syncWindowSettings)
+        .catch((error) => console.error("Error matching window settings:", error));
+});
+
+chrome.tabs.onCreated.addListener(scheduleWindowSettingsSync);
+chrome.tabs.onAttached.addListener(scheduleWindowSettingsSync);
+chrome.tabs.onDetached.addListener(scheduleWindowSettingsSync);
+chrome.windows.onRemoved.addListener(scheduleWindowSettingsSync);
+
+// Tabs closed with their window keep their URLs in the fingerprint.
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    if (!removeInfo || !removeInfo.isWindowClosing) {
+        scheduleWindowSettingsSync();
+    }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo && changeInfo.url) {
+        scheduleWindowSettingsSync();
+    }
+});
+
+// ----------------------------------------------------------------------------
+// Notification buttons
+
+const NOTIFICATION_ACTIONS_KEY = "notificationActions";
+const NOTIFICATION_ACTIONS_LIMIT = 20;
+// Button order per action kind; onButtonClicked only reports the button index.
+const NOTIFICATION_COMMANDS = {
+    rejected: ["openAnyway", "closeOldest"],
+    moved: ["undoMove"],
+    snoozeEnded: ["trimTabs"],
+};
+const NOTIFICATION_COMMAND_TITLES = {
+    openAnyway: "Open anyway",
+    closeOldest: "Close oldest",
+    undoMove: "Undo move",
+    trimTabs: "Trim tabs",
+};
+let notificationActionsWrite = Promise.resolve();
+
+// Firefox notifications have no buttons.
+const getNotificationCommands = (action) =>
+    action && chrome.notifications.onButtonClicked ? NOTIFICATION_COMMANDS[action.kind] || [] : [];
+
+const updateNotificationActions = (updater) => {
+    const write = notificationActionsWrite.then(async () => {
+        const actions = (await getSessionValue(NOTIFICATION_ACTIONS_KEY, {})) || {};
+        const result = updater({ ...actions });
+        const kept = Object.entries(result.actions)
+            .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+            .slice(0, NOTIFICATION_ACTIONS_LIMIT);
+        await setSessionValue(NOTIFICATION_ACTIONS_KEY, Object.fromEntries(kept));
+        return result.value;
+    });
+
+    notificationActionsWrite = write.catch(() => {});
+    return write;
+};
+
+const rememberNotificationAction = (notificationId, action) =>
+    updateNotificationActions((actions) => ({
+        actions: { ...actions, [notificationId]: { ...action, createdAt: Date.now() } },
+    }));
+
+const takeNotificationAction = (notificationId) =>
+    updateNotificationActions((actions) => {
+        const action = actions[notificationId] || null;
+        delete actions[notificationId];
+        return { actions, value: action };
+    });
+
+const openBlockedTabAnyway = async (action) => {
+    if (action.waitingEntryId) {
+        await takeFromWaitingList(action.waitingEntryId);
+    }
+
+    await openTabBypassingLimits(action.url);
+};
+
+const closeOldestForBlockedTab = async (action) => {
+    const options = await getOptions();
+    const probeTab = {
+        id: -1,
+        url: action.url,
+        windowId: action.windowId,
+        groupId: action.groupId,
+        incognito: false,
+    };
+    const scopeTabs = await getScopeCountableTabs(options, probeTab, action.place);
+    await loadProtectedTabs();
+    const oldestTab = findLeastRecentlyUsedTab(scopeTabs, probeTab.id);
+
+    if (oldestTab && (await removeTabSafely(oldestTab.id))) {
+        logEnforcement(oldestTab, "closed", action.place);
+    }
+
+    await openBlockedTabAnyway(action);
+};
+
+const undoTabMove = async (action) => {
+    const movedTab = await moveTabSafely(action.tabId, {
+        windowId: action.windowId,
+        index: typeof action.index === "number" ? action.index : -1,
+    });
+
+    if (movedTab) {
+        await invokeChromeMethod(chrome.tabs, "update", action.tabId, { active: true });
+        await invokeChromeMethod(chrome.windows, "update", action.windowId, { focused: true });
+    }
+};
+
+const runNotificationCommand = (command, action) => {
+    switch (command) {
+        case "openAnyway":
+            return openBlockedTabAnyway(action);
+        case "closeOldest":
+            return closeOldestForBlockedTab(action);
+        case "undoMove":
+            return undoTabMove(action);
+        case "trimTabs":
+            return trimAfterOffer();
+        default:
+            return Promise.resolve();
+    }
+};
+
+const pendingLimitCheckTabIds = new Set();
+
+const scheduleTabLimitRecheck = (tabId, delay = 100) => {
+    if (typeof tabId !== "number") {
+        return;
+    }
+
+    pendingLimitCheckTabIds.add(tabId);
+
+    setTimeout(async () => {
+        if (!pendingLimitCheckTabIds.has(tabId)) {
+            return;
+        }
+
+        try {
+            const [tab, options] = await Promise.all([getTabById(tabId), getOptions()]);
+            applyToTabIndex(() => indexTab(tab));
+
+            if (!tab || (await focusExistingDuplicate(tab, options))) {
+                return;
+            }
+
+            const exceededPlace = await detectExceededLimit(options, tab);
+            if (exceededPlace) {
+                await handleExceedTabs(tab, options, exceededPlace);
+                updateBadge(options);
+            } else {
+                checkSoftLimits(options, tab);
+            }
+        } catch (error) {
+            console.error("Error rechecking tab limits after creation:", error);
+        } finally {
+            pendingLimitCheckTabIds.delete(tabId);
+        }
+    }, delay);
+};
+
+const getScopeCountableTabs = async (options, tab, place) => {
+    if (place === "window") {
+        return getWindowCountableTabs(options, tab && tab.windowId);
+    }
+
+    if (place === "group") {
+        return getGroupCountableTabs(options, tab);
+    }
+
+    if (place === "rule") {
+        const fullest = await getFullestUrlRule(options, tab);
+        return fullest ? fullest.tabs : [];
+    }
+
+    const tabs = await getAllCountableTabs(options, tab && tab.incognito);
+    if (place !== "domain") {
+        return tabs;
+    }
+
+    const domain = getGroupedDomain(getTabUrl(tab), options);
+    return tabs.filter((openTab) => getGroupedDomain(getTabUrl(openTab), options) === domain);
+};
+
+// Tabs protected from the context menu. Tab ids only live as long as the
+// browser session, so they are kept in session storage.
+const PROTECTED_TABS_KEY = "protectedTabs";
+const protectedTabIds = new Set();
+let protectedTabsLoaded = null;
+
+const loadProtectedTabs = () => {
+    if (!protectedTabsLoaded) {
+        protectedTabsLoaded = getSessionValue(PROTECTED_TABS_KEY, []).then((tabIds) => {
+            tabIds.forEach((tabId) => protectedTabIds.add(tabId));
+        });
+    }
+
+    return protectedTabsLoaded;
+};
+
+const setTabProtected = async (tabId, isProtected) => {
+    await loadProtectedTabs();
+
+    if (isProtected) {
+        protectedTabIds.add(tabId);
+    } else {
+        protectedTabIds.delete(tabId);
+    }
+
+    await setSessionValue(PROTECTED_TABS_KEY, [...protectedTabIds]);
+};
+
+// Pinned, audible, active and protected tabs are never picked for automatic
+// closing. Call loadProtectedTabs() first.
+const isAutoClosableTab = (tab) =>
+    !tab.pinned && !tab.audible && !tab.active && !protectedTabIds.has(tab.id);
+
+const sortByLeastRecentlyUsed = (tabs) =>
+    tabs.slice().sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+
+const findLeastRecentlyUsedTab = (tabs, excludedTabId) =>
+    sortByLeastRecentlyUsed(
+        tabs.filter((tab) => tab.id !== excludedTabId && isAutoClosableTab(tab)),
+    )[0] || null;
+
+// Overflow strategies that keep the new tab, and how they free up a slot.
+const OVERFLOW_RELEASERS = {
+    closeLeastRecent: removeTabSafely,
+    discardLeastRecent: discardTabSafely,
+};
+
+// Keep the new tab and close or discard older tabs until no limit is exceeded.
+// Freeing a tab for one scope may leave another scope over its limit, so
+// re-detect after each.
+const makeRoomWithLeastRecent = async (tab, options, place, releaseTab) => {
+    const releasedTabs = [];
+    let exceededPlace = place;
+    await loadProtectedTabs();
+
+    for (let attempt = 0; exceededPlace && attempt < 3; attempt++) {
+        const scopeTabs = await getScopeCountableTabs(options, tab, exceededPlace);
+        const candidate = findLeastRecentlyUsedTab(scopeTabs, tab.id);
+
+        if (!candidate || !(await releaseTab(candidate.id))) {
+            break;
+        }
+
+        if (releaseTab === removeTabSafely) {
+            logEnforcement(candidate, "closed", exceededPlace);
+        }
+
+        releasedTabs.push(candidate);
+        exceededPlace = await detectExceededLimit(options, tab);
+    }
+
+    return { releasedTabs, exceededPlace };
+};
+
+const getPlaceLimit = (options, tab, place) => {
+    if (place === "domain") {
+        return getDomainLimit(options, getGroupedDomain(getTabUrl(tab), options));
+    }
+
+    if (place === "group") {
+        return normalizeNumber(options.maxGroup, 10);
+    }
+
+    if (place === "window") {
+        return getWindowLimit(options, tab && tab.windowId, tab && tab.incognito);
+    }
+
+    return getBudgetLimits(options, tab && tab.incognito).maxTotal;
+};
+
+const getAlertDetails = async (options, tab, place, details = {}) => {
+    // URL rule limits depend on which rule filled up, so they are looked up here.
+    const fullestRule = place === "rule" ? await getFullestUrlRule(options, tab) : null;
+
+    return {
+        ...details,
+        limit: fullestRule ? fullestRule.rule.limit : getPlaceLimit(options, tab, place),
+        incognito: Boolean(options.separateIncognitoLimits && tab && tab.incognito),
+        groupTitle: place === "group" ? await getGroupTitle(tab.groupId) : "",
+        windowName: place === "window" ? await getWindowName(tab.windowId) : "",
+        rulePattern: fullestRule ? fullestRule.rule.pattern : "",
+    };
+};
+
+const WAITING_LIST_KEY = "waitingList";
+const WAITING_LIST_LIMIT = 50;
+let waitingListWrite = Promise.resolve();
+
+const getWaitingList = async () => {
+    const stored = await invokeChromeMethod(chrome.storage.local, "get", {
+        [WAITING_LIST_KEY]: [],
+    });
+    return Array.isArray(stored[WAITING_LIST_KEY]) ? stored[WAITING_LIST_KEY] : [];
+};
+
+// Serialize read-modify-write cycles so concurrent tab events cannot drop entries.
+const updateWaitingList = (updater) => {
+    const write = waitingListWrite.then(async () => {
+        const waitingList = await getWaitingList();
+        const result = updater(waitingList.slice());
+        const nextList = result.list.slice(-WAITING_LIST_LIMIT);
+        await invokeChromeMethod(chrome.storage.local, "set", { [WAITING_LIST_KEY]: nextList });
+        return result.value;
+    });
+
+    waitingListWrite = write.catch(() => {});
+    return write;
+};
+
+const addToWaitingList = (tab, reason) => {
+    const url = getTabUrl(tab);
+
+    // Only web pages are worth parking; blank new tabs would just clutter the queue.
+    // Private browsing URLs are never written to storage.
+    if (!getDomainFromUrl(url) || tab.incognito) {
+        return Promise.resolve(null);
+    }
+
+    const entry = {
+        id: `${Date.now()}-${tab.id}`,
+        url,
+        title: tab.title || url,
+        favIconUrl: tab.favIconUrl || "",
+        reason,
+        blockedAt: Date.now(),
+    };
+
+    return updateWaitingList((list) => ({
+        list: [...list.filter((waiting) => waiting.url !== url), entry],
+        value: entry,
+    }));
+};
+
+const takeFromWaitingList = (entryId) =>
+    updateWaitingList((list) => ({
+        list: list.filter((waiting) => waiting.id !== entryId),
+        value: list.find((waiting) => waiting.id === entryId) || null,
+    }));
+
+const hasRoomForUrl = async (options, url, windowId) => {
+    const probeTab = { id: -1, url, windowId, pinned: false };
+    if (isExemptTab(probeTab, options)) {
+        return true;
+    }
+
+    const [allTabs, windowTabs] = await Promise.all([
+        getAllCountableTabs(options),
+        getWindowCountableTabs(options, windowId),
+    ]);
+
+    const { maxTotal } = getBudgetLimits(options, false);
+
+    if (allTabs.length >= maxTotal) {
+        return false;
+    }
+
+    if (windowTabs.length >= getWindowLimit(options, windowId, false)) {
+        return false;
+    }
+
+    const ruleIsFull = getMatchingUrlRules(url, options).some(
+        (rule) =>
+            allTabs.filter((openTab) => matchesUrlRule(getTabUrl(openTab), rule)).length >=
+            rule.limit,
+    );
+    if (ruleIsFull) {
+        return false;
+    }
+
+    const domain = getGroupedDomain(url, options);
+    if (!options.enableDomainLimit || !domain) {
+        return true;
+    }
+
+    const domainCount = allTabs.filter(
+        (openTab) => getGroupedDomain(getTabUrl(openTab), options) === domain,
+    ).length;
+    return domainCount < getDomainLimit(options, domain);
+};
+
+const reopenWaitingTabIfRoom = async (options, windowId) => {
+    const window = await getIndexedWindow(windowId);
+    if (!window || window.incognito) {
+        return;
+    }
+
+    const waitingList = await getWaitingList();
+
+    for (const entry of waitingList) {
+        if (!(await hasRoomForUrl(options, entry.url, windowId))) {
+            continue;
+        }
+
+        const takenEntry = await takeFromWaitingList(entry.id);
+        if (takenEntry) {
+            await invokeChromeMethod(chrome.tabs, "create", {
+                url: takenEntry.url,
+                windowId,
+                active: false,
+            });
+        }
+        return;
+    }
+};
+
+// Which waiting tabs fit in the window right now, by entry id. The popup asks
+// for this so its Open buttons follow the same checks as automatic reopening.
+const getWaitingListRoom = async (windowId) => {
+    const [options, waitingList] = await Promise.all([getOptions(), getWaitingList()]);
+    const room = {};
+
+    for (const entry of waitingList) {
+        room[entry.id] = await hasRoomForUrl(options, entry.url, windowId);
+    }
+
+    return room;
+};
+
+const openWaitingTab = async (entryId) => {
+    const entry = await takeFromWaitingList(entryId);
+    if (!entry) {
+        return false;
+    }
+
+    await invokeChromeMethod(chrome.tabs, "create", { url: entry.url, active: true });
+    return true;
+};
+
+// ----------------------------------------------------------------------------
+// Enforcement log
+
+const ENFORCEMENT_LOG_KEY = "enforcementLog";
+const ENFORCEMENT_LOG_LIMIT = 100;
+let enforcementLogWrite = Promise.resolve();
+
+const getEnforcementLog = async () => {
+    const stored = await invokeChromeMethod(chrome.storage.local, "get", {
+        [ENFORCEMENT_LOG_KEY]: [],
+    });
+    return Array.isArray(stored[ENFORCEMENT_LOG_KEY]) ? stored[ENFORCEMENT_LOG_KEY] : [];
+};
+
+// Serialized the same way as the waiting list.
+const updateEnforcementLog = (updater) => {
+    const write = enforcementLogWrite.then(async () => {
+        const log = await getEnforcementLog();
+        const result = updater(log.slice());
+        await invokeChromeMethod(chrome.storage.local, "set", {
+            [ENFORCEMENT_LOG_KEY]: result.list.slice(-ENFORCEMENT_LOG_LIMIT),
+        });
+        return result.value;
+    });
+
+    enforcementLogWrite = write.catch(() => {});
+    return write;
+};
+
+// action is "closed", "moved" or "movedToNewWindow". Private tabs are never logged.
+const logEnforcement = (tab, action, place) => {
+    const url = getTabUrl(tab);
+
+    if (!url || tab.incognito || url.startsWith(EXTENSION_PAGE_PREFIX)) {
+        return Promise.resolve(null);
+    }
+
+    const entry = {
+        id: `${Date.now()}-${tab.id}`,
+        action,
+        url,
+        title: tab.title || url,
+        favIconUrl: tab.favIconUrl || "",
+        place,
+        at: Date.now(),
+    };
+
+    return updateEnforcementLog((log) => ({ list: [...log, entry], value: entry })).catch(
+        (error) => {
+            console.error("Error logging enforcement action:", error);
+            return null;
+        },
+    );
+};
+
+// Tabs reopened from the log are let through once. The URL is registered before
+// the tab exists because onCreated can fire before tabs.create calls back.
+const limitBypassTabIds = new Set();
+const pendingBypassUrls = new Set();
+
+const isLimitBypassed = (tab) => {
+    if (!tab) {
+        return false;
+    }
+
+    if (limitBypassTabIds.has(tab.id)) {
+        return true;
+    }
+
+    const url = getTabUrl(tab);
+    if (url && pendingBypassUrls.has(url)) {
+        pendingBypassUrls.delete(url);
+        limitBypassTabIds.add(tab.id);
+        return true;
+    }
+
+    return false;
+};
+
+const openTabBypassingLimits = async (url) => {
+    pendingBypassUrls.add(url);
+
+    try {
+        const createdTab = await invokeChromeMethod(chrome.tabs, "create", { url, active: true });
+        if (createdTab && typeof createdTab.id === "number") {
+            limitBypassTabIds.add(createdTab.id);
+        }
+        return createdTab;
+    } finally {
+        pendingBypassUrls.delete(url);
+    }
+};
+
+const reopenLoggedTab = async (entryId) => {
+    const entry = (await getEnforcementLog()).find((logged) => logged.id === entryId);
+    if (!entry || entry.action !== "closed") {
+        return false;
+    }
+
+    await openTabBypassingLimits(entry.url);
+    await updateEnforcementLog((log) => ({
+        list: log.map((logged) =>
+            logged.id === entryId ? { ...logged, reopenedAt: Date.now() } : logged,
+        ),
+    }));
+    return true;
+};
+
+// Close a tab that pushed a limit over the edge and park its URL in the waiting list.
+const rejectNewTab = async (tab, options, place) => {
+    if (!(await removeTabSafely(tab && tab.id))) {
+        return false;
+    }
+
+    const waitingEntry = await addToWaitingList(tab, place);
+    logEnforcement(tab, "closed", place);
+
+    // Private URLs are kept out of storage, so private tabs get a plain notification.
+    const url = getTabUrl(tab);
+    const action =
+        url && !tab.incognito
+            ? {
+                  kind: "rejected",
+                  url,
+                  place,
+                  windowId: tab.windowId,
+                  groupId: tab.groupId,
+                  waitingEntryId: waitingEntry ? waitingEntry.id : null,
+              }
+            : null;
+
+    displayAlert(options, place, await getAlertDetails(options, tab, place, { action }));
+    return true;
+};
+
+// ----------------------------------------------------------------------------
+// Profiles and trimming
+
+const getBudgets = (options) => (options.separateIncognitoLimits ? [false, true] : [false]);
+
+// Domains, URL rules and tab groups over their limits, with their tabs. A raise
+// snooze lifts these limits too, so ending it can leave them exceeded.
+const getOverLimitScopes = async (options) => {
+    const scopes = [];
+
+    for (const incognito of getBudgets(options)) {
+        const budgetTabs = await getAllCountableTabs(options, incognito);
+
+        if (options.enableDomainLimit) {
+            const tabsByDomain = new Map();
+            for (const tab of budgetTabs) {
+                const domain = getGroupedDomain(getTabUrl(tab), options);
+                if (!domain) {
+                    continue;
+                }
+
+                if (!tabsByDomain.has(domain)) {
+                    tabsByDomain.set(domain, []);
+                }
+                tabsByDomain.get(domain).push(tab);
+            }
+
+            for (const [domain, tabs] of tabsByDomain) {
+                scopes.push({
+                    place: "domain",
+                    name: domain,
+                    tabs,
+                    limit: getDomainLimit(options, domain),
+                });
+            }
+        }
+
+        for (const rule of getUrlRules(options)) {
+            scopes.push({
+                place: "rule",
+                name: rule.pattern,
+                tabs: budgetTabs.filter((tab) => matchesUrlRule(getTabUrl(tab), rule)),
+                limit: rule.limit,
+            });
+        }
+    }
+
+    for (const window of await getNormalWindows(true)) {
+        const tabsByGroup = new Map();
+        for (const tab of filterCountableTabs(window.tabs, options)) {
+            if (!isGroupLimitActive(options, tab)) {
+                continue;
+            }
+
+            if (!tabsByGroup.has(tab.groupId)) {
+                tabsByGroup.set(tab.groupId, []);
+            }
+            tabsByGroup.get(tab.groupId).push(tab);
+        }
+
+        for (const tabs of tabsByGroup.values()) {
+            scopes.push({ place: "group", name: "", tabs, limit: normalizeNumber(options.maxGroup, 10) });
+        }
+    }
+
+    return scopes.filter((scope) => scope.tabs.length > scope.limit);
+};
+
+const getOverLimitReport = async (options) => {
+    const [windows, overLimitScopes] = await Promise.all([
+        getNormalWindows(true),
+        getOverLimitScopes(options),
+    ]);
+    let totalExcess = 0;
+
+    for (const incognito of getBudgets(options)) {
+        const budgetTabs = await getAllCountableTabs(options, incognito);
+        totalExcess += Math.max(0, budgetTabs.length - getBudgetLimits(options, incognito).maxTotal);
+    }
+
+    const overLimitWindows = windows
+        .map((window) => ({
+            windowId: window.id,
+            excess:
+                filterCountableTabs(window.tabs, options).length -
+                getWindowLimit(options, window.id, window.incognito),
+        }))
+        .filter((window) => window.excess > 0);
+
+    return {
+        totalExcess,
+        windows: overLimitWindows,
+        scopes: overLimitScopes.map(({ place, name, tabs, limit }) => ({
+            place,
+            name,
+            excess: tabs.length - limit,
+        })),
+    };
+};
+
+// Trimmed tabs are parked in the waiting list so nothing is lost.
+const closeLeastRecentTabs = async (tabs, count, reason) => {
+    await loadProtectedTabs();
+    const candidates = sortByLeastRecentlyUsed(tabs.filter(isAutoClosableTab)).slice(
+        0,
+        Math.max(0, count),
+    );
+    const closedTabs = [];
+
+    for (const tab of candidates) {
+        if (await removeTabSafely(tab.id)) {
+            closedTabs.push(tab);
+            await addToWaitingList(tab, reason);
+            logEnforcement(tab, "closed", reason);
+        }
+    }
+
+    return closedTabs;
+};
+
+const trimTabsToLimits = async (options) => {
+    const closedTabs = [];
+
+    // A tab can be in more than one scope, so tabs closed for one scope no
+    // longer count toward the next.
+    for (const scope of await getOverLimitScopes(options)) {
+        const closedTabIds = new Set(closedTabs.map((tab) => tab.id));
+        const openTabs = scope.tabs.filter((tab) => !closedTabIds.has(tab.id));
+        closedTabs.push(
+            ...(await closeLeastRecentTabs(openTabs, openTabs.length - scope.limit, scope.place)),
+        );
+    }
+
+    for (const window of await getNormalWindows(true)) {
+        const windowTabs = filterCountableTabs(window.tabs, options);
+        const maxWindow = getWindowLimit(options, window.id, window.incognito);
+        closedTabs.push(
+            ...(await closeLeastRecentTabs(windowTabs, windowTabs.length - maxWindow, "window")),
+        );
+    }
+
+    for (const incognito of getBudgets(options)) {
+        const budgetTabs = await getAllCountableTabs(options, incognito);
+        const { maxTotal } = getBudgetLimits(options, incognito);
+        closedTabs.push(
+            ...(await closeLeastRecentTabs(budgetTabs, budgetTabs.length - maxTotal, "total")),
+        );
+    }
+
+    return closedTabs;
+};
+
+const switchProfile = async (profileId) => {
+    const storedOptions = await getStoredOptions();
+    const profile = (storedOptions.profiles || []).find(
+        (storedProfile) => storedProfile.id === profileId,
+    );
+
+    if (!profile) {
+        throw new Error(`Unknown profile: ${profileId}`);
+    }
+
+    const profileSettings = {};
+    for (const key of PROFILE_OPTION_KEYS) {
+        if (profile.settings && key in profile.settings) {
+            profileSettings[key] = profile.settings[key];
+        }
+    }
+
+    await invokeChromeMethod(chrome.storage.sync, "set", {
+        ...profileSettings,
+        activeProfileId: profile.id,
+    });
+
+    const options = await getOptions();
+    updateBadge(options);
+    return getOverLimitReport(options);
+};
+
+// ----------------------------------------------------------------------------
+// Duplicate tabs
+
+const focusTab = async (tabId, windowId) => {
+    await invokeChromeMethod(chrome.tabs, "update", tabId, { active: true });
+    await invokeChromeMethod(chrome.windows, "update", windowId, { focused: true });
+};
+
+// Switch to an already open copy of the page instead of keeping the new tab.
+const focusExistingDuplicate = async (tab, options) => {
+    if (options.duplicateMode !== "focusExisting" || isLimitBypassed(tab)) {
+        return false;
+    }
+
+    const key = getDuplicateKey(getTabUrl(tab), options);
+    if (!key) {
+        return false;
+    }
+
+    const tabs = await getIndexedDomainTabs(getDomainFromUrl(getTabUrl(tab)));
+    const existingTab = sortByLeastRecentlyUsed(
+        tabs.filter(
+            (openTab) =>
+                openTab.id !== tab.id &&
+                Boolean(openTab.incognito) === Boolean(tab.incognito) &&
+                getDuplicateKey(getTabUrl(openTab), options) === key,
+        ),
+    ).pop();
+
+    if (!existingTab || !(await removeTabSafely(tab.id))) {
+        return false;
+    }
+
+    pendingLimitCheckTabIds.delete(tab.id);
+    await focusTab(existingTab.id, existingTab.windowId);
+    return true;
+};
+
+const closeDuplicateTabs = async (options) => {
+    const duplicates = getDuplicateTabsToClose(await getIndexedTabs(), options);
+    const closedTabs = [];
+
+    for (const duplicate of duplicates) {
+        if (await removeTabSafely(duplicate.id)) {
+            closedTabs.push(duplicate);
+        }
+    }
+
+    return closedTabs;
+};
+
+// ----------------------------------------------------------------------------
+// Keyboard shortcuts (see "commands" in the manifests)
+
+const SHORTCUT_SNOOZE = { mode: "pause", minutes: 60 };
+
+const getActiveTab = async () => {
+    const [activeTab] = await queryTabs({ active: true, lastFocusedWindow: true });
+    return activeTab || null;
+};
+
+const toggleSnooze = async () => {
+    if (await getSnooze()) {
+        return endSnooze({ notify: true });
+    }
+
+    return startSnooze(SHORTCUT_SNOOZE);
+};
+
+// Pinned tabs are kept, like everywhere else tabs are closed in bulk.
+const closeOtherTabsOfDomain = async (activeTab, options) => {
+    const domain = activeTab && getGroupedDomain(getTabUrl(activeTab), options);
+
+    if (!domain) {
+        return [];
+    }
+
+    const tabs = await getIndexedDomainTabs(domain);
+    const closedTabs = [];
+
+    for (const tab of tabs) {
+        if (
+            tab.id === activeTab.id ||
+            tab.pinned ||
+            Boolean(tab.incognito) !== Boolean(activeTab.incognito) ||
+            getGroupedDomain(getTabUrl(tab), options) !== domain
+        ) {
+            continue;
+        }
+
+        if (await removeTabSafely(tab.id)) {
+            closedTabs.push(tab);
+        }
+    }
+
+    return closedTabs;
+};
+
+// Tabs closed by hand from the popup's domain list.
+const closeTabsById = async (tabIds) => {
+    const closedTabIds = [];
+
+    for (const tabId of tabIds) {
+        if (await removeTabSafely(tabId)) {
+            closedTabIds.push(tabId);
+        }
+    }
+
+    return closedTabIds;
+};
+
+const moveTabToLeastFullWindow = async (options) => {
+    const activeTab = await getActiveTab();
+
+    if (!activeTab) {
+        return null;
+    }
+
+    let leastFullWindow = null;
+    let mostRoom = 0;
+
+    // Tabs cannot move between private and normal windows.
+    for (const window of await getNormalWindows(true)) {
+        if (
+            window.id === activeTab.windowId ||
+            Boolean(window.incognito) !== Boolean(activeTab.incognito)
+        ) {
+            continue;
+        }
+
+        // Windows with their own limit are compared by free slots, not tab count,
+        // and full windows are skipped.
+        const room =
+            getWindowLimit(options, window.id, window.incognito) -
+            filterCountableTabs(window.tabs || [], options).length;
+        if (room > mostRoom) {
+            mostRoom = room;
+            leastFullWindow = window;
+        }
+    }
+
+    if (!leastFullWindow) {
+        chrome.notifications.create({
+            type: "basic",
+            iconUrl: "assets/icon48.png",
+            title: "Tab Limiter",
+            message: "No other window has room for this tab.",
+        });
+        return null;
+    }
+
+    const movedTab = await moveTabSafely(activeTab.id, { windowId: leastFullWindow.id, index: -1 });
+    if (!movedTab) {
+        return null;
+    }
+
+    await invokeChromeMethod(chrome.tabs, "update", activeTab.id, { active: true });
+    await invokeChromeMethod(chrome.windows, "update", leastFullWindow.id, { focused: true });
+    return movedTab;
+};
+
+const runShortcut = async (command) => {
+    switch (command) {
+        case "toggle-snooze":
+            return toggleSnooze();
+        case "close-duplicates":
+            return closeDuplicateTabs(await getOptions());
+        case "close-domain-tabs":
+            return closeOtherTabsOfDomain(await getActiveTab(), await getOptions());
+        case "move-to-least-full-window":
+            return moveTabToLeastFullWindow(await getOptions());
+        default:
+            return null;
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Context menus on the page and the toolbar button
+
+const CONTEXT_MENU_CONTEXTS = ["page", "action"];
+const DOMAIN_LIMIT_PRESETS = [1, 3, 5, 10, 20];
+const DOMAIN_LIMIT_MENU_PREFIX = "domainLimit:";
+
+let contextMenusSetup = Promise.resolve();
+
+// Menus outlive the service worker, so they are only built on install and
+// update, or when the browser has dropped them. Later changes go through
+// refreshContextMenus. Serialized so two builds never interleave.
+const createContextMenus = () => {
+    if (!chrome.contextMenus) {
+        return Promise.resolve();
+    }
+
+    const setup = contextMenusSetup.then(async () => {
+        await invokeChromeMethod(chrome.contextMenus, "removeAll");
+
+        const items = [
+            { id: "exemptDomain", title: "Exempt this domain from limits" },
+            { id: "domainLimit", title: "Set limit for this domain" },
+            ...DOMAIN_LIMIT_PRESETS.map((limit) => ({
+                id: `${DOMAIN_LIMIT_MENU_PREFIX}${limit}`,
+                parentId: "domainLimit",
+                title: `${limit} ${limit === 1 ? "tab" : "tabs"}`,
+            })),
+            {
+                id: `${DOMAIN_LIMIT_MENU_PREFIX}default`,
+                parentId: "domainLimit",
+                title: "Use the default domain limit",
+            },
+            { id: "closeDomainTabs", title: "Close other tabs on this domain" },
+            { id: "protectTab", title: "Protect this tab from auto-closing" },
+        ];
+
+        for (const item of items) {
+            await invokeChromeMethod(chrome.contextMenus, "create", {
+                ...item,
+                contexts: CONTEXT_MENU_CONTEXTS,
+            });
+        }
+
+        await refreshContextMenus();
+    });
+
+    contextMenusSetup = setup.catch(() => {});
+    return setup;
+};
+
+// Menu titles follow the active tab so they can name its domain and state.
+const refreshContextMenus = async () => {
+    if (!chrome.contextMenus) {
+        return;
+    }
+
+    const [activeTab, options] = await Promise.all([getActiveTab(), getStoredOptions()]);
+    const domain = activeTab && getGroupedDomain(getTabUrl(activeTab), options);
+    await loadProtectedTabs();
+    const isProtected = Boolean(activeTab && protectedTabIds.has(activeTab.id));
+
+    const updates = {
+        exemptDomain: {
+            enabled: Boolean(domain),
+            title: !domain
+                ? "Exempt this domain from limits"
+                : isDomainExempt(domain, options.exemptDomains)
+                  ? `Stop exempting ${domain}`
+                  : `Exempt ${domain} from limits`,
+        },
+        domainLimit: {
+            enabled: Boolean(domain),
+            title: domain
+                ? `Set limit for ${domain} (now ${getDomainLimit(options, domain)})`
+                : "Set limit for this domain",
+        },
+        closeDomainTabs: {
+            enabled: Boolean(domain),
+            title: domain ? `Close other ${domain} tabs` : "Close other tabs on this domain",
+        },
+        protectTab: {
+            enabled: Boolean(activeTab),
+            title: isProtected
+                ? "Stop protecting this tab"
+                : "Protect this tab from auto-closing",
+        },
+    };
+
+    for (const [id, properties] of Object.entries(updates)) {
+        await invokeChromeMethod(chrome.contextMenus, "update", id, properties);
+    }
+};
+
+const toggleDomainExemption = async (domain) => {
+    const { exemptDomains } = await invokeChromeMethod(chrome.storage.sync, "get", {
+        exemptDomains: [],
+    });
+    const domains = Array.isArray(exemptDomains) ? exemptDomains : [];
+
+    // Removing the exemption also drops a parent-domain entry that covers it.
+    const nextDomains = isDomainExempt(domain, domains)
+        ? domains.filter((exempt) => domain !== exempt && !domain.endsWith(`.${exempt}`))
+        : [...domains, domain];
+
+    await invokeChromeMethod(chrome.storage.sync, "set", { exemptDomains: nextDomains });
+};
+
+const setCustomDomainLimit = async (domain, limit) => {
+    const { domainLimits } = await invokeChromeMethod(chrome.storage.sync, "get", {
+        domainLimits: {},
+    });
+    const nextLimits = { ...(domainLimits || {}) };
+
+    if (limit === null) {
+        delete nextLimits[domain];
+    } else {
+        nextLimits[domain] = normalizeNumber(limit, 1);
+    }
+
+    await invokeChromeMethod(chrome.storage.sync, "set", { domainLimits: nextLimits });
+};
+
+const runContextMenuItem = async (menuItemId, tab) => {
+    const targetTab = tab && typeof tab.id === "number" && tab.id >= 0 ? tab : await getActiveTab();
+    const options = await getStoredOptions();
+    const domain = targetTab && getGroupedDomain(getTabUrl(targetTab), options);
+
+    if (menuItemId === "protectTab") {
+        if (targetTab) {
+            await loadProtectedTabs();
+            await setTabProtected(targetTab.id, !protectedTabIds.has(targetTab.id));
+        }
+        return;
+    }
+
+    if (!domain) {
+        return;
+    }
+
+    if (menuItemId === "exemptDomain") {
+        await toggleDomainExemption(domain);
+    } else if (menuItemId === "closeDomainTabs") {
+        await closeOtherTabsOfDomain(targetTab, options);
+    } else if (String(menuItemId).startsWith(DOMAIN_LIMIT_MENU_PREFIX)) {
+        const preset = String(menuItemId).slice(DOMAIN_LIMIT_MENU_PREFIX.length);
+        await setCustomDomainLimit(domain, preset === "default" ? null : preset);
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Usage history (kept in local storage only, see docs/privacy.md)
+
+const HISTORY_KEY = "tabHistory";
+const HISTORY_ALARM_NAME = "historySample";
+const HISTORY_SAMPLE_MINUTES = 15;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Full-resolution samples are kept for two days, then folded into hourly peaks.
+const HISTORY_RAW_DAYS = 2;
+const HISTORY_RETENTION_DAYS = 30;
+const HISTORY_TOP_DOMAINS = 5;
+const LIMIT_HITS_LIMIT = 2000;
+let historyWrite = Promise.resolve();
+
+const getHistory = async () => {
+    const stored = await invokeChromeMethod(chrome.storage.local, "get", { [HISTORY_KEY]: {} });
+    const history = stored[HISTORY_KEY] || {};
+
+    return {
+        samples: Array.isArray(history.samples) ? history.samples : [],
+        limitHits: Array.isArray(history.limitHits) ? history.limitHits : [],
+    };
+};
+
+// Merging keeps peaks: the busier sample wins, and the window peak is kept separately.
+const mergeHistorySamples = (a, b) => {
+    const busier = b.total > a.total ? b : a;
+    return { ...busier, t: a.t, window: Math.max(a.window, b.window) };
+};
+
+const downsampleHistory = (samples, now) => {
+    const rawCutoff = now - HISTORY_RAW_DAYS * DAY_MS;
+    const retentionCutoff = now - HISTORY_RETENTION_DAYS * DAY_MS;
+    const hourlySamples = new Map();
+    const rawSamples = [];
+
+    for (const sample of samples) {
+        if (sample.t < retentionCutoff) {
+            continue;
+        }
+
+        if (sample.t >= rawCutoff) {
+            rawSamples.push(sample);
+            continue;
+        }
+
+        const hour = Math.floor(sample.t / HOUR_MS) * HOUR_MS;
+        const hourSample = { ...sample, t: hour };
+        const existing = hourlySamples.get(hour);
+        hourlySamples.set(hour, existing ? mergeHistorySamples(existing, hourSample) : hourSample);
+    }
+
+    return [...hourlySamples.values(), ...rawSamples].sort((a, b) => a.t - b.t);
+};
+
+// Serialize read-modify-write cycles, like the waiting list.
+const updateHistory = (updater) => {
+    const write = historyWrite.then(async () => {
+        const now = Date.now();
+        const history = updater(await getHistory());
+        await invokeChromeMethod(chrome.storage.local, "set", {
+            [HISTORY_KEY]: {
+                samples: downsampleHistory(history.samples, now),
+                limitHits: history.limitHits
+                    .filter((hit) => hit.t >= now - HISTORY_RETENTION_DAYS * DAY_MS)
+                    .slice(-LIMIT_HITS_LIMIT),
+            },
+        });
+    });
+
+    historyWrite = write.catch(() => {});
+    return write;
+};
+
+const recordHistorySample = async () => {
+    const options = await getOptions();
+    if (!options.recordHistory) {
+        return;
+    }
+
+    const [snapshot, globalTabs] = await Promise.all([
+        getTabSnapshot(options),
+        getAllCountableTabs(options),
+    ]);
+    // Private tabs are counted but their domains are never written to storage.
+    const publicTabs = globalTabs.filter((tab) => !tab.incognito);
+    const sample = {
+        t: Date.now(),
+        total: snapshot.globalOpen,
+        window: snapshot.windowOpen,
+        windows: snapshot.windowCount,
+        domains: buildTopDomains(publicTabs, options, HISTORY_TOP_DOMAINS).map(
+            ({ domain, count }) => ({ domain, count }),
+        ),
+    };
+
+    await updateHistory((history) => ({ ...history, samples: [...history.samples, sample] }));
+};
+
+const recordLimitHit = (options, place) => {
+    if (!options.recordHistory) {
+        return Promise.resolve();
+    }
+
+    return updateHistory((history) => ({
+        ...history,
+        limitHits: [...history.limitHits, { t: Date.now(), place }],
+    })).catch((error) => console.error("Error recording limit hit:", error));
+};
+
+const ensureHistoryAlarm = async () => {
+    if (!chrome.alarms) {
+        return;
+    }
+
+    const alarm = await invokeChromeMethod(chrome.alarms, "get", HISTORY_ALARM_NAME);
+    if (!alarm) {
+        chrome.alarms.create(HISTORY_ALARM_NAME, {
+            delayInMinutes: 1,
+            periodInMinutes: HISTORY_SAMPLE_MINUTES,
+        });
+    }
+};
+
+// For Manifest V3 service worker, we need to track state differently
 // We'll use a simple approach without global state since service workers are ephemeral
 
 // Handle tab creation with Manifest V3 service worker
 const handleExceedTabs = async (tab, options, place) => {
     const tabId = tab && tab.id;
+    recordLimitHit(options, place);
+
+    const releaseTab = OVERFLOW_RELEASERS[options.overflowStrategy];
+
+    if (releaseTab && !(options.exceedTabNewWindow && place === "window")) {
+        const { releasedTabs, exceededPlace } = await makeRoomWithLeastRecent(
+            tab,
+            options,
+            place,
+            releaseTab,
+        );
+
+        if (!exceededPlace) {
+            const details =
+                releaseTab === discardTabSafely
+                    ? { discardedTabs: releasedTabs }
+                    : { closedTabs: releasedTabs };
+            displayAlert(options, place, await getAlertDetails(options, tab, place, details));
+            return;
+        }
+
+        // Nothing left that may be freed; fall back to rejecting the new tab.
+        place = exceededPlace;
+    }
+
+    const incognito = Boolean(tab && tab.incognito);
+    const { maxTotal } = getBudgetLimits(options, incognito);
 
     // CRITICAL: Always check total tab limit first
-    const totalTabs = await getAllCountableTabs(options);
-    const maxTotal = normalizeNumber(options.maxTotal, 50);
+    const totalTabs = await getAllCountableTabs(options, incognito);
     if (totalTabs.length > maxTotal) {
         // Total limit would be exceeded, close the tab and show alert
-        if (await removeTabSafely(tabId)) {
-            displayAlert(options, "total", false);
-        }
+        await rejectNewTab(tab, options, "total");
         return;
     }
 
     if (place === "domain") {
-        if (await removeTabSafely(tabId)) {
-            displayAlert(options, "domain", false);
-        }
+        await rejectNewTab(tab, options, "domain");
         return;
     }
 
@@ -422,10 +2730,16 @@ const handleExceedTabs = async (tab, options, place) => {
             let bestWindow = null;
             let maxRemainingCapacity = 0;
 
-            // Find existing window with most available capacity
+            // Find existing window with most available capacity. Tabs cannot move
+            // between private and normal windows.
             for (const window of windows) {
+                if (Boolean(window.incognito) !== incognito) {
+                    continue;
+                }
+
                 const windowTabs = filterCountableTabs(window.tabs, options);
-                const remainingCapacity = options.maxWindow - windowTabs.length;
+                const remainingCapacity =
+                    getWindowLimit(options, window.id, window.incognito) - windowTabs.length;
 
                 if (remainingCapacity > maxRemainingCapacity) {
                     maxRemainingCapacity = remainingCapacity;
@@ -434,11 +2748,9 @@ const handleExceedTabs = async (tab, options, place) => {
             }
 
             // Double-check total limit before proceeding
-            const currentTotalTabs = await getAllCountableTabs(options);
-            if (currentTotalTabs.length > normalizeNumber(options.maxTotal, 50)) {
-                if (await removeTabSafely(tabId)) {
-                    displayAlert(options, "total", false);
-                }
+            const currentTotalTabs = await getAllCountableTabs(options, incognito);
+            if (currentTotalTabs.length > maxTotal) {
+                await rejectNewTab(tab, options, "total");
                 return;
             }
 
@@ -453,37 +2765,56 @@ const handleExceedTabs = async (tab, options, place) => {
                 // Ensure the window is focused
                 await invokeChromeMethod(chrome.windows, "update", bestWindow.id, { focused: true });
                 movedToOtherWindow = true;
+                logEnforcement(tab, "moved", place);
             } else {
-                // All windows are at capacity, create new one
-                const createdWindow = await createWindowForTabSafely({ tabId, focused: true });
+                // All windows are at capacity, create new one of the same kind
+                const createdWindow = await createWindowForTabSafely({
+                    tabId,
+                    focused: true,
+                    incognito,
+                });
                 if (!createdWindow) {
+                    await rejectNewTab(tab, options, place);
                     return;
                 }
                 movedToOtherWindow = true;
+                logEnforcement(tab, "movedToNewWindow", place);
             }
 
             // Show alert with "Opened in other window" message
-            displayAlert(options, place, movedToOtherWindow);
+            const action = {
+                kind: "moved",
+                tabId,
+                windowId: tab.windowId,
+                index: tab.index,
+            };
+            displayAlert(
+                options,
+                place,
+                await getAlertDetails(options, tab, place, { movedToOtherWindow, action }),
+            );
         } catch (error) {
             console.error("Error in handleExceedTabs:", error);
             // Fallback to original behavior on error
-            if (await removeTabSafely(tabId)) {
-                displayAlert(options, place, false);
-            }
+            await rejectNewTab(tab, options, place);
         }
     } else {
-        if (await removeTabSafely(tabId)) {
-            displayAlert(options, place, false);
-        }
+        await rejectNewTab(tab, options, place);
     }
 };
 
 const handleTabCreated = async (tab) => {
     try {
         const options = await getOptions();
+
+        if (await focusExistingDuplicate(tab, options)) {
+            return;
+        }
+
         const initialExceededPlace = await detectExceededLimit(options, tab);
 
         if (!initialExceededPlace && getDomainFromUrl(getTabUrl(tab))) {
+            checkSoftLimits(options, tab);
             return;
         }
 
@@ -496,21 +2827,6 @@ const handleTabCreated = async (tab) => {
 
 // Initialize extension
 const init = () => {
-    chrome.storage.sync.set({
-        defaultOptions: {
-            maxTotal: 50,
-            maxWindow: 20,
-            maxDomain: 10,
-            exceedTabNewWindow: false,
-            enableDomainLimit: true,
-            coloredFavicons: false,
-            displayAlert: true,
-            countPinnedTabs: false,
-            displayBadge: false,
-            alertMessage: "Limit is {maxPlace} tabs in {place}",
-        },
-    });
-
     // Request notification permission if the API exists in this browser.
     if (
         chrome.permissions &&
@@ -535,30 +2851,75 @@ const init = () => {
 };
 
 // Event listeners for Manifest V3 service worker
+chrome.runtime.onInstalled.addListener(() => {
+    migrateStoredSettings()
+        .then(getOptions)
+        .then(updateBadge)
+        .catch((error) => console.error("Error migrating settings:", error));
+    createContextMenus().catch((error) => console.error("Error creating context menus:", error));
+});
+
 chrome.tabs.onCreated.addListener((tab) => {
     handleTabCreated(tab);
 });
 
 // Remove duplicate listener for onCreated - handleTabCreated already calls updateBadge
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
     pendingLimitCheckTabIds.delete(tabId);
-    getOptions().then(updateBadge);
+    limitBypassTabIds.delete(tabId);
+    if (protectedTabIds.has(tabId)) {
+        setTabProtected(tabId, false).catch((error) =>
+            console.error("Error forgetting protected tab:", error),
+        );
+    }
+    getOptions()
+        .then((options) => {
+            updateBadge(options);
+
+            if (options.autoReopenWaiting && removeInfo && !removeInfo.isWindowClosing) {
+                return reopenWaitingTabIfRoom(options, removeInfo.windowId);
+            }
+        })
+        .catch((error) => console.error("Error handling tab removal:", error));
 });
 
+// Title, favicon and loading updates cannot change any count.
+const COUNT_RELEVANT_TAB_CHANGES = ["url", "pinned", "discarded", "groupId"];
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo && changeInfo.url && tab && tab.active) {
+        refreshContextMenus().catch((error) =>
+            console.error("Error updating context menus:", error),
+        );
+    }
+
+    const countRelevantUpdate =
+        changeInfo &&
+        COUNT_RELEVANT_TAB_CHANGES.some((key) =>
+            Object.prototype.hasOwnProperty.call(changeInfo, key),
+        );
+
+    if (!countRelevantUpdate && !pendingLimitCheckTabIds.has(tabId)) {
+        return;
+    }
+
     getOptions()
         .then(async (options) => {
             updateBadge(options);
 
             if (!pendingLimitCheckTabIds.has(tabId)) {
+                if (changeInfo && changeInfo.url) {
+                    checkSoftLimits(options, tab);
+                }
                 return;
             }
 
             const limitRelevantUpdate =
                 changeInfo &&
                 (Object.prototype.hasOwnProperty.call(changeInfo, "url") ||
-                    Object.prototype.hasOwnProperty.call(changeInfo, "status"));
+                    Object.prototype.hasOwnProperty.call(changeInfo, "status") ||
+                    Object.prototype.hasOwnProperty.call(changeInfo, "groupId"));
 
             if (!limitRelevantUpdate || (!getTabUrl(tab) && changeInfo.status !== "complete")) {
                 return;
@@ -566,8 +2927,13 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
             pendingLimitCheckTabIds.delete(tabId);
 
+            if (await focusExistingDuplicate(tab, options)) {
+                return;
+            }
+
             const exceededPlace = await detectExceededLimit(options, tab);
             if (!exceededPlace) {
+                checkSoftLimits(options, tab);
                 return;
             }
 
@@ -579,12 +2945,133 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 chrome.windows.onFocusChanged.addListener(() => {
     getOptions().then(updateBadge);
+    refreshContextMenus().catch((error) => console.error("Error updating context menus:", error));
+});
+
+chrome.tabs.onActivated.addListener(() => {
+    // The badge can depend on the active tab's domain.
+    getOptions().then(updateBadge);
+    refreshContextMenus().catch((error) => console.error("Error updating context menus:", error));
+});
+
+if (chrome.contextMenus) {
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+        runContextMenuItem(info.menuItemId, tab)
+            .then(refreshContextMenus)
+            .catch((error) => console.error("Error running context menu item:", error));
+    });
+}
+
+if (chrome.alarms) {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === SNOOZE_ALARM_NAME) {
+            endSnooze({ notify: true }).catch((error) =>
+                console.error("Error ending snooze:", error),
+            );
+        }
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === HISTORY_ALARM_NAME) {
+            recordHistorySample().catch((error) =>
+                console.error("Error recording history sample:", error),
+            );
+        }
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name !== SCHEDULE_ALARM_NAME) {
+            return;
+        }
+
+        getOptions()
+            .then((options) => {
+                updateBadge(options);
+                return scheduleNextBoundaryAlarm(options.schedules);
+            })
+            .catch((error) => console.error("Error switching schedule:", error));
+    });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync" && (changes.exemptDomains || changes.domainLimits)) {
+        refreshContextMenus().catch((error) =>
+            console.error("Error updating context menus:", error),
+        );
+    }
+
+    if (areaName === "sync" && changes.schedules) {
+        scheduleNextBoundaryAlarm(changes.schedules.newValue).catch((error) =>
+            console.error("Error scheduling limit change:", error),
+        );
+        getOptions().then(updateBadge);
+    }
 });
 
+if (chrome.notifications.onButtonClicked) {
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+        takeNotificationAction(notificationId)
+            .then((action) => {
+                if (!action) {
+                    return;
+                }
+
+                chrome.notifications.clear(notificationId);
+                const command = getNotificationCommands(action)[buttonIndex];
+                return runNotificationCommand(command, action);
+            })
+            .catch((error) => console.error("Error handling notification button:", error));
+    });
+}
+
+if (chrome.notifications.onClosed) {
+    chrome.notifications.onClosed.addListener((notificationId) => {
+        takeNotificationAction(notificationId).catch((error) =>
+            console.error("Error forgetting notification action:", error),
+        );
+    });
+}
+
+if (chrome.commands && chrome.commands.onCommand) {
+    chrome.commands.onCommand.addListener((command) => {
+        runShortcut(command)
+            .then(() => getOptions())
+            .then(updateBadge)
+            .catch((error) => console.error(`Error running shortcut ${command}:`, error));
+    });
+}
+
 // Handle messages from options page
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "updateBadge") {
-        updateBadge(request.options);
+        // Re-read storage so schedule limits apply on top of the saved options.
+        getOptions().then(updateBadge);
+    }
+
+    if (request.action === "getScheduleStatus") {
+        getOptions()
+            .then((activeOptions) => {
+                const limits = {};
+                for (const key of SNOOZE_LIMIT_KEYS) {
+                    limits[key] = activeOptions[key];
+                }
+
+                sendResponse({
+                    ...getScheduleStatus(activeOptions.schedules),
+                    snooze: activeOptions.snooze || null,
+                    limits: {
+                        ...limits,
+                        domainLimits: activeOptions.domainLimits,
+                        windowLimits: activeOptions.windowLimits,
+                        urlRules: activeOptions.urlRules,
+                    },
+                });
+            })
+            .catch((error) => {
+                console.error("Error reading schedule status:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
     }
 
     if (request.action === "getTabSnapshot") {
@@ -598,12 +3085,184 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             });
         return true;
     }
+
+    if (request.action === "openWaitingTab") {
+        openWaitingTab(request.id)
+            .then((opened) => sendResponse({ opened }))
+            .catch((error) => {
+                console.error("Error opening waiting tab:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "getWaitingListRoom") {
+        getWaitingListRoom(request.windowId)
+            .then((room) => sendResponse({ room }))
+            .catch((error) => {
+                console.error("Error checking room for waiting tabs:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "removeWaitingTab") {
+        takeFromWaitingList(request.id)
+            .then(() => sendResponse({ removed: true }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === "switchProfile") {
+        switchProfile(request.id)
+            .then((report) => sendResponse({ report }))
+            .catch((error) => {
+                console.error("Error switching profile:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "trimToLimits") {
+        trimAfterOffer()
+            .then((closedTabs) => {
+                sendResponse({ closed: closedTabs.length });
+            })
+            .catch((error) => {
+                console.error("Error trimming tabs:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "startSnooze") {
+        startSnooze(request)
+            .then((snooze) => sendResponse({ snooze }))
+            .catch((error) => {
+                console.error("Error starting snooze:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "endSnooze") {
+        endSnooze()
+            .then((report) => sendResponse({ report }))
+            .catch((error) => {
+                console.error("Error ending snooze:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "getTrimOffer") {
+        getSessionValue(TRIM_OFFER_KEY, null)
+            .then((report) => sendResponse({ report }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === "dismissTrimOffer") {
+        setSessionValue(TRIM_OFFER_KEY, null)
+            .then(() => sendResponse({ dismissed: true }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === "setWindowSettings") {
+        setWindowSettings(request.windowId, request)
+            .then((entry) => {
+                getOptions().then(updateBadge);
+                sendResponse({ entry });
+            })
+            .catch((error) => {
+                console.error("Error saving window settings:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "focusTab") {
+        focusTab(request.tabId, request.windowId)
+            .then(() => sendResponse({ focused: true }))
+            .catch((error) => {
+                console.error("Error focusing tab:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "closeTabs") {
+        closeTabsById(Array.isArray(request.tabIds) ? request.tabIds : [])
+            .then((closedTabIds) => {
+                getOptions().then(updateBadge);
+                sendResponse({ closed: closedTabIds.length });
+            })
+            .catch((error) => {
+                console.error("Error closing tabs:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "closeDuplicates") {
+        getOptions()
+            .then(closeDuplicateTabs)
+            .then((closedTabs) => {
+                getOptions().then(updateBadge);
+                sendResponse({ closed: closedTabs.length });
+            })
+            .catch((error) => {
+                console.error("Error closing duplicate tabs:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "reopenLoggedTab") {
+        reopenLoggedTab(request.id)
+            .then((opened) => sendResponse({ opened }))
+            .catch((error) => {
+                console.error("Error reopening logged tab:", error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === "clearEnforcementLog") {
+        updateEnforcementLog(() => ({ list: [] }))
+            .then(() => sendResponse({ cleared: true }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === "clearHistory") {
+        updateHistory(() => ({ samples: [], limitHits: [] }))
+            .then(() => sendResponse({ cleared: true }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === "clearWaitingList") {
+        updateWaitingList(() => ({ list: [] }))
+            .then(() => sendResponse({ cleared: true }))
+            .catch((error) => sendResponse({ error: error.message }));
+        return true;
+    }
 });
 
 // Initialize on service worker startup
 init();
 // Initialize badge on startup by getting options first
-getOptions().then(updateBadge);
+getOptions().then((options) => {
+    updateBadge(options);
+    return scheduleNextBoundaryAlarm(options.schedules);
+});
+ensureHistoryAlarm().catch((error) => console.error("Error scheduling history samples:", error));
+// Updating a menu the browser no longer has fails, so build them again then.
+refreshContextMenus()
+    .catch(createContextMenus)
+    .catch((error) => console.error("Error creating context menus:", error));
 
 function capitalizeFirstLetter(string) {
     return string[0].toUpperCase() + string.slice(1);
@@ -35,8 +35,16 @@ const queryTabs = async (queryInfo = {}) => {
     return invokeBrowserMethod(browserRef.tabs, "query", queryInfo);
 };
 
-const filterCountableTabs = (tabs, options) =>
-    (tabs || []).filter((tab) => options.countPinnedTabs || !tab.pinned);
+const EXTENSION_PAGE_PREFIX = browserRef.runtime.getURL("");
+
+// Tabs that would count toward the limits if their domain were not exempt.
+const countExemptTabs = (tabs, options) =>
+    (tabs || []).filter(
+        (tab) =>
+            (options.countPinnedTabs || !tab.pinned) &&
+            (countsDiscardedTabs(options) || !tab.discarded) &&
+            isExemptTab(tab, options),
+    ).length;
 
 const getNormalWindows = async (populate) => {
     const windows = await invokeBrowserMethod(browserRef.windows, "getAll", {
@@ -47,7 +55,7 @@ const getNormalWindows = async (populate) => {
 };
 
 const getAllCountableTabs = async (options) => {
-    const tabs = await queryTabs({});
+    const tabs = await queryTabs({ windowType: "normal" });
     return filterCountableTabs(tabs, options);
 };
 
@@ -68,25 +76,72 @@ const updateBadge = (options) => {
     browserRef.runtime.sendMessage({ action: "updateBadge", options });
 };
 
+const sendBackgroundMessage = (message) =>
+    invokeBrowserMethod(browserRef.runtime, "sendMessage", message);
+
 // ---------------------------------------------------------------------------
 
 let $inputs;
-let currentView = "main"; // 'main' or 'settings'
+let currentView = "main"; // 'main', 'history' or 'settings'
+const IMPORT_PAGE_HASH = "#import";
 let tabCountsUpdateTimer = null;
 let tabCountsUpdateInFlight = false;
 let tabCountsUpdatePending = false;
+let incognitoAccessAllowed = false;
 const TOP_DOMAINS_LIMIT = 8;
+// Domain list state kept across re-renders.
+const expandedDomains = new Set();
+let showAllDomains = false;
+let domainSearchQuery = "";
+const WAITING_REASON_LABELS = {
+    total: "total limit",
+    window: "window limit",
+    domain: "domain limit",
+    group: "group limit",
+    rule: "URL rule limit",
+};
 const COUNT_RELEVANT_OPTION_IDS = new Set([
     "maxWindow",
     "maxTotal",
     "countPinnedTabs",
     "enableDomainLimit",
+    "enableGroupLimit",
+    "maxGroup",
     "maxDomain",
+    "domainGrouping",
+    "domainLimits",
+    "exemptDomains",
+    "urlRules",
+    "schedules",
+    "separateIncognitoLimits",
+    "maxIncognitoTotal",
+    "maxIncognitoWindow",
+    "duplicateMode",
+    "duplicateIgnoreQuery",
+    "countDiscardedTabs",
+    "overflowStrategy",
+]);
+// Options edited through list editors rather than a same-named input.
+const STRUCTURED_OPTION_KEYS = new Set([
+    "domainLimits",
+    "exemptDomains",
+    "urlRules",
+    "schedules",
+    "profiles",
+    "activeProfileId",
 ]);
+const SCHEDULE_DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+const SCHEDULE_DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const SCHEDULE_LIMIT_FIELDS = [
+    { key: "maxTotal", label: "total" },
+    { key: "maxWindow", label: "window" },
+    { key: "maxDomain", label: "domain" },
+];
+const OPTION_INPUTS_SELECTOR = "input.checkbox-input, input.stepper-input, select.option-select";
 
 const getCachedInputs = () => {
     if (!$inputs) {
-        $inputs = document.querySelectorAll('input[type="checkbox"], input[type="number"]');
+        $inputs = document.querySelectorAll(OPTION_INPUTS_SELECTOR);
     }
     return $inputs;
 };
@@ -115,39 +170,51 @@ const applyOptionsToInputs = (options) => {
     }
 
     syncDomainFeatureVisibility(options);
+    syncGroupFeatureVisibility(options);
     syncColoredFaviconsVisibility(options);
-};
 
-const getCurrentOptions = async () => {
-    const defaults = await invokeBrowserMethod(browserRef.storage.sync, "get", "defaultOptions");
-    return invokeBrowserMethod(browserRef.storage.sync, "get", defaults.defaultOptions);
-};
+    if ("domainLimits" in options) {
+        renderDomainLimitEditor(options.domainLimits);
+    }
+
+    if ("exemptDomains" in options) {
+        renderExemptDomainEditor(options.exemptDomains);
+    }
 
-const getTabUrl = (tab) => (tab && (tab.pendingUrl || tab.url)) || null;
+    if ("urlRules" in options) {
+        renderUrlRuleEditor(options.urlRules);
+    }
 
-const getDomainFromUrl = (url) => {
-    if (!url) {
-        return null;
+    if ("schedules" in options) {
+        renderScheduleEditor(options.schedules);
     }
 
-    try {
-        const parsedUrl = new URL(url);
+    if ("profiles" in options || "activeProfileId" in options) {
+        refreshProfiles();
+    }
+};
 
-        if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
-            return null;
-        }
+const getCurrentOptions = () =>
+    invokeBrowserMethod(browserRef.storage.sync, "get", DEFAULT_OPTIONS);
 
-        return parsedUrl.hostname.toLowerCase().replace(/^www\./, "");
-    } catch (error) {
+// Accept pasted URLs as well as bare hostnames in the domain editors.
+const normalizeDomainInput = (value) => {
+    const trimmed = String(value || "")
+        .trim()
+        .toLowerCase();
+
+    if (!trimmed) {
         return null;
     }
+
+    return getDomainFromUrl(/^[a-z][a-z0-9+.-]*:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
 };
 
-const buildTopDomains = (tabs, maxItems) => {
+const buildTopDomains = (tabs, options, maxItems = Infinity) => {
     const domainCounts = new Map();
 
     for (const tab of tabs) {
-        const domain = getDomainFromUrl(getTabUrl(tab));
+        const domain = getGroupedDomain(getTabUrl(tab), options);
         if (!domain) {
             continue;
         }
@@ -171,12 +238,18 @@ const buildTopDomains = (tabs, maxItems) => {
         .sort((a, b) =>
             b[1].count !== a[1].count ? b[1].count - a[1].count : a[0].localeCompare(b[0]),
         )
-        .map(([domain, data]) => ({ domain, count: data.count, faviconUrl: data.faviconUrl }));
+        .map(([domain, data]) => ({
+            domain,
+            count: data.count,
+            faviconUrl: data.faviconUrl,
+            limit: getDomainLimit(options, domain),
+            hasCustomLimit: getCustomDomainLimit(options, domain) !== undefined,
+        }));
 
     return sortedDomains.slice(0, maxItems);
 };
 
-const renderDomainList = (tabs) => {
+const renderDomainList = (tabs, options) => {
     const domainListEl = document.getElementById("domainList");
     const domainEmptyEl = document.getElementById("domainEmptyState");
 
@@ -184,7 +257,7 @@ const renderDomainList = (tabs) => {
         return;
     }
 
-    const topDomains = buildTopDomains(tabs, TOP_DOMAINS_LIMIT);
+    const topDomains = buildTopDomains(tabs, options, TOP_DOMAINS_LIMIT);
 
     domainListEl.textContent = "";
 
@@ -232,139 +305,1943 @@ const renderDomainList = (tabs) => {
         fragment.append(item);
     }
 
-    domainListEl.append(fragment);
+    domainListEl.append(fragment);
+};
+
+// Every tab of each domain, including ones that do not count, for the expanded list.
+const groupTabsByDomain = (tabs, options) => {
+    const domainTabs = new Map();
+
+    for (const tab of tabs) {
+        const domain = getGroupedDomain(getTabUrl(tab), options);
+        if (!domain) {
+            continue;
+        }
+
+        if (!domainTabs.has(domain)) {
+            domainTabs.set(domain, []);
+        }
+        domainTabs.get(domain).push(tab);
+    }
+
+    return domainTabs;
+};
+
+// Named windows go by their name; others are "This window" for the popup's
+// window and otherwise their position among open windows.
+const buildWindowLabels = (windows, currentWindow, windowSettings = []) =>
+    new Map(
+        windows.map((window, index) => {
+            const entry = windowSettings.find((stored) => stored.windowId === window.id);
+            if (entry && entry.name) {
+                return [window.id, entry.name];
+            }
+
+            return [
+                window.id,
+                currentWindow && window.id === currentWindow.id ? "This window" : `Window ${index + 1}`,
+            ];
+        }),
+    );
+
+const matchesDomainSearch = (domain, tabs, query) =>
+    domain.includes(query) ||
+    tabs.some((tab) => (tab.title || "").toLowerCase().includes(query));
+
+const focusTabFromPopup = (tab) => {
+    sendBackgroundMessage({ action: "focusTab", tabId: tab.id, windowId: tab.windowId }).catch(
+        (error) => console.error("Error focusing tab:", error),
+    );
+};
+
+const closeTabsFromPopup = (tabIds) => {
+    sendBackgroundMessage({ action: "closeTabs", tabIds })
+        .catch((error) => console.error("Error closing tabs:", error))
+        .finally(() => scheduleTabCountsUpdate(0));
+};
+
+const renderDomainTabs = (domain, tabs, windowLabels) => {
+    const item = document.createElement("li");
+    item.className = "domain-tabs";
+
+    const tabList = document.createElement("ul");
+    tabList.className = "domain-tab-list";
+
+    const recentFirst = tabs.slice().sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    for (const tab of recentFirst) {
+        const tabItem = document.createElement("li");
+        tabItem.className = "domain-tab-item";
+
+        const favicon = createFaviconImage("domain-favicon", tab.favIconUrl);
+
+        const details = document.createElement("button");
+        details.type = "button";
+        details.className = "domain-tab-details";
+        details.title = getTabUrl(tab) || "";
+        details.addEventListener("click", () => focusTabFromPopup(tab));
+
+        const title = document.createElement("span");
+        title.className = "domain-tab-title";
+        title.textContent = tab.title || getTabUrl(tab);
+
+        const meta = document.createElement("span");
+        meta.className = "domain-tab-meta";
+        const metaParts = [windowLabels.get(tab.windowId) || "Other window"];
+        if (tab.lastAccessed) {
+            metaParts.push(`used ${formatTimeAgo(tab.lastAccessed)}`);
+        }
+        if (tab.pinned) {
+            metaParts.push("pinned");
+        }
+        meta.textContent = metaParts.join(" · ");
+
+        details.append(title, meta);
+
+        const closeButton = createRemoveButton("Close tab", () => closeTabsFromPopup([tab.id]));
+
+        tabItem.append(favicon, details, closeButton);
+        tabList.append(tabItem);
+    }
+
+    item.append(tabList);
+
+    // Like the shortcut and context menu, closing a whole domain leaves pinned tabs open.
+    const closableTabIds = tabs.filter((tab) => !tab.pinned).map((tab) => tab.id);
+    if (closableTabIds.length > 0) {
+        const closeAllButton = document.createElement("button");
+        closeAllButton.type = "button";
+        closeAllButton.className = "text-btn domain-close-all";
+        closeAllButton.textContent = `Close all ${closableTabIds.length} ${
+            closableTabIds.length === 1 ? "tab" : "tabs"
+        } on ${domain}`;
+        closeAllButton.addEventListener("click", () => {
+            closeAllButton.disabled = true;
+            closeTabsFromPopup(closableTabIds);
+        });
+        item.append(closeAllButton);
+    }
+
+    return item;
+};
+
+const syncDomainListControls = (domainCount) => {
+    const toggleButton = document.getElementById("toggleAllDomains");
+    const searchInput = document.getElementById("domainSearch");
+
+    if (toggleButton) {
+        toggleButton.classList.toggle("hidden", !showAllDomains && domainCount <= TOP_DOMAINS_LIMIT);
+        toggleButton.textContent = showAllDomains
+            ? `Show top ${TOP_DOMAINS_LIMIT}`
+            : `Show all ${domainCount} domains`;
+        toggleButton.setAttribute("aria-expanded", String(showAllDomains));
+    }
+
+    if (searchInput) {
+        searchInput.classList.toggle("hidden", !showAllDomains);
+    }
+};
+
+const renderTopDomains = (topDomains, options, { domainTabs = new Map(), windowLabels = new Map() } = {}) => {
+    const domainListEl = document.getElementById("domainList");
+    const domainEmptyEl = document.getElementById("domainEmptyState");
+
+    if (!domainListEl || !domainEmptyEl) {
+        return;
+    }
+
+    domainListEl.textContent = "";
+    syncDomainListControls(topDomains ? topDomains.length : 0);
+
+    const query = showAllDomains ? domainSearchQuery.trim().toLowerCase() : "";
+    const matchingDomains = (topDomains || []).filter(
+        ({ domain }) => !query || matchesDomainSearch(domain, domainTabs.get(domain) || [], query),
+    );
+    const visibleDomains = showAllDomains
+        ? matchingDomains
+        : matchingDomains.slice(0, TOP_DOMAINS_LIMIT);
+
+    if (visibleDomains.length === 0) {
+        domainEmptyEl.textContent = query ? "No matching domains" : "No web domains open";
+        domainEmptyEl.classList.remove("hidden");
+        return;
+    }
+
+    domainEmptyEl.classList.add("hidden");
+
+    const showLimits = Boolean(options && options.enableDomainLimit);
+    const fragment = document.createDocumentFragment();
+    for (const { domain, count, faviconUrl, limit, hasCustomLimit } of visibleDomains) {
+        const item = document.createElement("li");
+        item.className = "domain-item";
+
+        const isExpanded = expandedDomains.has(domain);
+        const domainLabel = document.createElement("button");
+        domainLabel.type = "button";
+        domainLabel.className = "domain-label domain-toggle";
+        domainLabel.setAttribute("aria-expanded", String(isExpanded));
+        domainLabel.title = isExpanded ? `Hide tabs on ${domain}` : `Show tabs on ${domain}`;
+        domainLabel.addEventListener("click", () => {
+            if (expandedDomains.has(domain)) {
+                expandedDomains.delete(domain);
+            } else {
+                expandedDomains.add(domain);
+            }
+            scheduleTabCountsUpdate(0);
+        });
+
+        const favicon = document.createElement("img");
+        favicon.className = "domain-favicon";
+        favicon.alt = "";
+        favicon.width = 16;
+        favicon.height = 16;
+        favicon.src = faviconUrl || "assets/domain.svg";
+
+        favicon.addEventListener("error", () => {
+            if (favicon.dataset.fallbackApplied === "true") {
+                return;
+            }
+            favicon.dataset.fallbackApplied = "true";
+            favicon.src = "assets/domain.svg";
+        });
+
+        const domainName = document.createElement("span");
+        domainName.className = "domain-name";
+        domainName.textContent = domain;
+
+        const countBadge = document.createElement("span");
+        countBadge.className = "count-badge domain-list-badge";
+        countBadge.textContent = count;
+
+        domainLabel.append(favicon, domainName);
+        item.append(domainLabel, countBadge);
+
+        if (showLimits) {
+            const limitLabel = document.createElement("span");
+            limitLabel.className = "domain-limit";
+            limitLabel.classList.toggle("is-custom", hasCustomLimit);
+            limitLabel.textContent = `/ ${limit}`;
+            limitLabel.title = `${count} of ${limit} tabs (${Math.round((count / limit) * 100)}%)${
+                hasCustomLimit ? " · custom limit" : ""
+            }`;
+
+            countBadge.classList.toggle("is-full", count >= limit);
+            item.append(limitLabel);
+        }
+
+        fragment.append(item);
+
+        if (isExpanded) {
+            fragment.append(renderDomainTabs(domain, domainTabs.get(domain) || [], windowLabels));
+        }
+    }
+
+    domainListEl.append(fragment);
+};
+
+const setStepperEnabled = (inputId, isEnabled) => {
+    const input = document.getElementById(inputId);
+
+    if (!input) {
+        return;
+    }
+
+    input.disabled = !isEnabled;
+
+    const stepperButtons = document.querySelectorAll(`.stepper-btn[data-input="${inputId}"]`);
+    for (let i = 0; i < stepperButtons.length; i++) {
+        stepperButtons[i].disabled = !isEnabled;
+    }
+
+    const stepperGroup = input.closest(".stepper-group");
+    if (stepperGroup) {
+        stepperGroup.classList.toggle("is-disabled", !isEnabled);
+    }
+
+    const stepperContainer = input.closest(".stepper-container");
+    if (stepperContainer) {
+        stepperContainer.classList.toggle("is-disabled", !isEnabled);
+    }
+};
+
+const isFeatureEnabled = (partialOptions, optionId) => {
+    if (optionId in partialOptions) {
+        return Boolean(partialOptions[optionId]);
+    }
+
+    const enabledInput = document.getElementById(optionId);
+    return Boolean(enabledInput && enabledInput.checked);
+};
+
+const syncDomainFeatureVisibility = (partialOptions = {}) => {
+    setStepperEnabled("maxDomain", isFeatureEnabled(partialOptions, "enableDomainLimit"));
+};
+
+const syncGroupFeatureVisibility = (partialOptions = {}) => {
+    setStepperEnabled("maxGroup", isFeatureEnabled(partialOptions, "enableGroupLimit"));
+};
+
+// Chrome's tab group colors, matched to the tab strip.
+const TAB_GROUP_COLORS = {
+    grey: "#5f6368",
+    blue: "#1a73e8",
+    red: "#d93025",
+    yellow: "#f9ab00",
+    green: "#1e8e3e",
+    pink: "#d01884",
+    purple: "#a142f4",
+    cyan: "#007b83",
+    orange: "#fa903e",
+};
+
+const getWindowTabGroups = async (windowId) => {
+    if (!browserRef.tabGroups || typeof windowId !== "number") {
+        return [];
+    }
+
+    try {
+        return (await invokeBrowserMethod(browserRef.tabGroups, "query", { windowId })) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const buildGroupBreakdown = (groups, windowTabs) =>
+    groups
+        .map((group) => ({
+            ...group,
+            count: windowTabs.filter((tab) => tab.groupId === group.id).length,
+        }))
+        .sort((a, b) => b.count - a.count);
+
+const renderGroupBreakdown = (groupBreakdown, options) => {
+    const groupCard = document.getElementById("groupCard");
+    const groupListEl = document.getElementById("groupList");
+    const groupEmptyEl = document.getElementById("groupEmptyState");
+
+    if (!groupCard || !groupListEl || !groupEmptyEl) {
+        return;
+    }
+
+    groupCard.classList.toggle("hidden", !browserRef.tabGroups);
+    groupListEl.textContent = "";
+    groupEmptyEl.classList.toggle("hidden", groupBreakdown.length > 0);
+
+    const showLimits = Boolean(options.enableGroupLimit);
+    const limit = normalizeNumber(options.maxGroup, 10);
+    const fragment = document.createDocumentFragment();
+
+    for (const group of groupBreakdown) {
+        const title = group.title || "Untitled group";
+        const item = document.createElement("li");
+        item.className = "domain-item";
+
+        const groupLabel = document.createElement("span");
+        groupLabel.className = "domain-label";
+
+        const colorDot = document.createElement("span");
+        colorDot.className = "group-color";
+        colorDot.style.background = TAB_GROUP_COLORS[group.color] || TAB_GROUP_COLORS.grey;
+
+        const groupName = document.createElement("span");
+        groupName.className = "domain-name";
+        groupName.classList.toggle("is-untitled", !group.title);
+        groupName.textContent = title;
+        groupName.title = title;
+
+        const countBadge = document.createElement("span");
+        countBadge.className = "count-badge domain-list-badge";
+        countBadge.textContent = group.count;
+
+        groupLabel.append(colorDot, groupName);
+        item.append(groupLabel, countBadge);
+
+        if (showLimits) {
+            const limitLabel = document.createElement("span");
+            limitLabel.className = "domain-limit";
+            limitLabel.textContent = `/ ${limit}`;
+            countBadge.classList.toggle("is-full", group.count >= limit);
+            item.append(limitLabel);
+        }
+
+        fragment.append(item);
+    }
+
+    groupListEl.append(fragment);
+};
+
+const buildUrlRuleUsage = (tabs, options) =>
+    getUrlRules(options).map((rule) => ({
+        ...rule,
+        count: tabs.filter((tab) => matchesUrlRule(getTabUrl(tab), rule)).length,
+    }));
+
+const renderUrlRuleUsage = (ruleUsage) => {
+    const urlRuleCard = document.getElementById("urlRuleCard");
+    const urlRuleListEl = document.getElementById("urlRuleUsageList");
+
+    if (!urlRuleCard || !urlRuleListEl) {
+        return;
+    }
+
+    urlRuleCard.classList.toggle("hidden", ruleUsage.length === 0);
+    urlRuleListEl.textContent = "";
+
+    const fragment = document.createDocumentFragment();
+
+    for (const rule of ruleUsage) {
+        const item = document.createElement("li");
+        item.className = "domain-item";
+
+        const patternName = document.createElement("span");
+        patternName.className = "domain-name";
+        patternName.textContent = rule.pattern;
+        patternName.title = rule.pattern;
+
+        const countBadge = document.createElement("span");
+        countBadge.className = "count-badge domain-list-badge";
+        countBadge.textContent = rule.count;
+        countBadge.classList.toggle("is-full", rule.count >= rule.limit);
+
+        const limitLabel = document.createElement("span");
+        limitLabel.className = "domain-limit";
+        limitLabel.textContent = `/ ${rule.limit}`;
+
+        item.append(patternName, countBadge, limitLabel);
+        fragment.append(item);
+    }
+
+    urlRuleListEl.append(fragment);
+};
+
+const renderDuplicateAction = (allTabs, options) => {
+    const closeDuplicatesButton = document.getElementById("closeDuplicates");
+
+    if (!closeDuplicatesButton) {
+        return;
+    }
+
+    const duplicateCount =
+        options.duplicateMode === "closeAction"
+            ? getDuplicateTabsToClose(allTabs, options).length
+            : 0;
+
+    closeDuplicatesButton.textContent = `Close ${duplicateCount} ${
+        duplicateCount === 1 ? "duplicate" : "duplicates"
+    }`;
+    closeDuplicatesButton.classList.toggle("hidden", duplicateCount === 0);
+};
+
+const syncIncognitoCardVisibility = (options) => {
+    const incognitoCard = document.getElementById("incognitoCard");
+
+    if (incognitoCard) {
+        incognitoCard.classList.toggle(
+            "hidden",
+            !(incognitoAccessAllowed && options.separateIncognitoLimits),
+        );
+    }
+};
+
+const syncColoredFaviconsVisibility = (partialOptions = {}) => {
+    const coloredFaviconsInput = document.getElementById("coloredFavicons");
+    const isEnabled =
+        "coloredFavicons" in partialOptions
+            ? Boolean(partialOptions.coloredFavicons)
+            : coloredFaviconsInput
+              ? coloredFaviconsInput.checked
+              : false;
+
+    document.body.classList.toggle("colored-favicons-enabled", isEnabled);
+};
+
+// Read-modify-write for structured options that are edited outside the plain inputs.
+const updateStoredOption = async (key, fallback, updater) => {
+    const stored = await invokeBrowserMethod(browserRef.storage.sync, "get", { [key]: fallback });
+    const nextValue = updater(stored[key]);
+    await invokeBrowserMethod(browserRef.storage.sync, "set", { [key]: nextValue });
+    return nextValue;
+};
+
+const createRemoveButton = (label, onClick) => {
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "rule-remove-btn";
+    removeButton.textContent = "×";
+    removeButton.setAttribute("aria-label", label);
+    removeButton.title = label;
+    removeButton.addEventListener("click", onClick);
+    return removeButton;
+};
+
+const renderDomainLimitEditor = (domainLimits) => {
+    const listEl = document.getElementById("domainLimitList");
+    const emptyEl = document.getElementById("domainLimitEmptyState");
+
+    if (!listEl) {
+        return;
+    }
+
+    const limits = domainLimits || {};
+    const domains = Object.keys(limits).sort((a, b) => a.localeCompare(b));
+
+    listEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", domains.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const domain of domains) {
+        const item = document.createElement("li");
+        item.className = "rule-item";
+
+        const domainName = document.createElement("span");
+        domainName.className = "rule-name";
+        domainName.textContent = domain;
+        domainName.title = domain;
+
+        const limitInput = document.createElement("input");
+        limitInput.type = "number";
+        limitInput.min = "1";
+        limitInput.max = "200";
+        limitInput.className = "rule-input rule-input-number";
+        limitInput.value = limits[domain];
+        limitInput.setAttribute("aria-label", `Maximum tabs for ${domain}`);
+        limitInput.addEventListener("change", () => {
+            updateStoredOption("domainLimits", {}, (storedLimits) => ({
+                ...storedLimits,
+                [domain]: normalizeNumber(limitInput.value, storedLimits[domain], 1, 200),
+            })).catch((error) => console.error("Error saving domain limit:", error));
+        });
+
+        const removeButton = createRemoveButton(`Remove limit for ${domain}`, () => {
+            updateStoredOption("domainLimits", {}, (storedLimits) => {
+                const nextLimits = { ...storedLimits };
+                delete nextLimits[domain];
+                return nextLimits;
+            }).catch((error) => console.error("Error removing domain limit:", error));
+        });
+
+        item.append(domainName, limitInput, removeButton);
+        fragment.append(item);
+    }
+
+    listEl.append(fragment);
+};
+
+const addDomainLimitFromForm = () => {
+    const domainInput = document.getElementById("domainLimitDomainInput");
+    const valueInput = document.getElementById("domainLimitValueInput");
+    const groupingInput = document.getElementById("domainGrouping");
+    const hostname = normalizeDomainInput(domainInput.value);
+    // Limits are keyed by the domain the limiter counts under.
+    const domain =
+        hostname && groupingInput && groupingInput.value === "registrable"
+            ? getRegistrableDomain(hostname)
+            : hostname;
+
+    if (!domain) {
+        domainInput.setCustomValidity("Enter a domain like docs.google.com");
+        domainInput.reportValidity();
+        return;
+    }
+
+    domainInput.setCustomValidity("");
+    const limit = normalizeNumber(valueInput.value, 10, 1, 200);
+
+    updateStoredOption("domainLimits", {}, (storedLimits) => ({
+        ...storedLimits,
+        [domain]: limit,
+    }))
+        .then(() => {
+            domainInput.value = "";
+        })
+        .catch((error) => console.error("Error adding domain limit:", error));
+};
+
+const renderUrlRuleEditor = (urlRules) => {
+    const listEl = document.getElementById("urlRuleList");
+    const emptyEl = document.getElementById("urlRuleEmptyState");
+
+    if (!listEl) {
+        return;
+    }
+
+    const rules = getUrlRules({ urlRules });
+
+    listEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", rules.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const rule of rules) {
+        const item = document.createElement("li");
+        item.className = "rule-item";
+
+        const patternName = document.createElement("span");
+        patternName.className = "rule-name";
+        patternName.textContent = rule.pattern;
+        patternName.title = rule.pattern;
+
+        const limitInput = document.createElement("input");
+        limitInput.type = "number";
+        limitInput.min = "1";
+        limitInput.max = "200";
+        limitInput.className = "rule-input rule-input-number";
+        limitInput.value = rule.limit;
+        limitInput.setAttribute("aria-label", `Maximum tabs matching ${rule.pattern}`);
+        limitInput.addEventListener("change", () => {
+            updateStoredOption("urlRules", [], (storedRules) =>
+                (storedRules || []).map((storedRule) =>
+                    storedRule.id === rule.id
+                        ? {
+                              ...storedRule,
+                              limit: normalizeNumber(limitInput.value, storedRule.limit, 1, 200),
+                          }
+                        : storedRule,
+                ),
+            ).catch((error) => console.error("Error saving URL rule limit:", error));
+        });
+
+        const removeButton = createRemoveButton(`Remove rule for ${rule.pattern}`, () => {
+            updateStoredOption("urlRules", [], (storedRules) =>
+                (storedRules || []).filter((storedRule) => storedRule.id !== rule.id),
+            ).catch((error) => console.error("Error removing URL rule:", error));
+        });
+
+        item.append(patternName, limitInput, removeButton);
+        fragment.append(item);
+    }
+
+    listEl.append(fragment);
+};
+
+const addUrlRuleFromForm = () => {
+    const patternInput = document.getElementById("urlRulePatternInput");
+    const valueInput = document.getElementById("urlRuleValueInput");
+    const pattern = patternInput.value.trim();
+
+    if (!compileUrlPattern(pattern)) {
+        patternInput.setCustomValidity("Enter a pattern like *://www.youtube.com/watch*");
+        patternInput.reportValidity();
+        return;
+    }
+
+    patternInput.setCustomValidity("");
+    const limit = normalizeNumber(valueInput.value, 10, 1, 200);
+
+    updateStoredOption("urlRules", [], (storedRules) => [
+        ...(storedRules || []).filter((storedRule) => storedRule.pattern !== pattern),
+        { id: `rule-${Date.now()}`, pattern, limit },
+    ])
+        .then(() => {
+            patternInput.value = "";
+        })
+        .catch((error) => console.error("Error adding URL rule:", error));
+};
+
+const renderExemptDomainEditor = (exemptDomains) => {
+    const listEl = document.getElementById("exemptDomainList");
+    const emptyEl = document.getElementById("exemptDomainEmptyState");
+
+    if (!listEl) {
+        return;
+    }
+
+    const domains = Array.isArray(exemptDomains) ? exemptDomains : [];
+
+    listEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", domains.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const domain of domains) {
+        const item = document.createElement("li");
+        item.className = "rule-item";
+
+        const domainName = document.createElement("span");
+        domainName.className = "rule-name";
+        domainName.textContent = domain;
+        domainName.title = domain;
+
+        const removeButton = createRemoveButton(`Stop exempting ${domain}`, () => {
+            updateStoredOption("exemptDomains", [], (storedDomains) =>
+                (storedDomains || []).filter((storedDomain) => storedDomain !== domain),
+            ).catch((error) => console.error("Error removing exempt domain:", error));
+        });
+
+        item.append(domainName, removeButton);
+        fragment.append(item);
+    }
+
+    listEl.append(fragment);
+};
+
+const addExemptDomainFromForm = () => {
+    const domainInput = document.getElementById("exemptDomainInput");
+    const domain = normalizeDomainInput(domainInput.value);
+
+    if (!domain) {
+        domainInput.setCustomValidity("Enter a domain like jira.example.com");
+        domainInput.reportValidity();
+        return;
+    }
+
+    domainInput.setCustomValidity("");
+
+    updateStoredOption("exemptDomains", [], (storedDomains) =>
+        Array.from(new Set([...(storedDomains || []), domain])).sort((a, b) => a.localeCompare(b)),
+    )
+        .then(() => {
+            domainInput.value = "";
+        })
+        .catch((error) => console.error("Error adding exempt domain:", error));
+};
+
+const updateSchedule = (scheduleId, changes) =>
+    updateStoredOption("schedules", [], (storedSchedules) =>
+        (storedSchedules || []).map((schedule) =>
+            schedule.id === scheduleId ? { ...schedule, ...changes } : schedule,
+        ),
+    ).catch((error) => console.error("Error saving schedule:", error));
+
+const createScheduleItem = (schedule) => {
+    const item = document.createElement("li");
+    item.className = "rule-item schedule-item";
+
+    const mainRow = document.createElement("div");
+    mainRow.className = "schedule-row";
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.className = "rule-input";
+    nameInput.value = schedule.name || "";
+    nameInput.placeholder = "Schedule name";
+    nameInput.setAttribute("aria-label", "Schedule name");
+    nameInput.addEventListener("change", () => {
+        updateSchedule(schedule.id, { name: nameInput.value.trim() || "Schedule" });
+    });
+
+    const createTimeInput = (key, label) => {
+        const timeInput = document.createElement("input");
+        timeInput.type = "time";
+        timeInput.className = "rule-input schedule-time";
+        timeInput.value = schedule[key] || "";
+        timeInput.setAttribute("aria-label", label);
+        timeInput.addEventListener("change", () => {
+            if (timeInput.value) {
+                updateSchedule(schedule.id, { [key]: timeInput.value });
+            }
+        });
+        return timeInput;
+    };
+
+    const timeSeparator = document.createElement("span");
+    timeSeparator.className = "schedule-separator";
+    timeSeparator.textContent = "–";
+
+    const removeButton = createRemoveButton(`Remove ${schedule.name || "schedule"}`, () => {
+        updateStoredOption("schedules", [], (storedSchedules) =>
+            (storedSchedules || []).filter((storedSchedule) => storedSchedule.id !== schedule.id),
+        ).catch((error) => console.error("Error removing schedule:", error));
+    });
+
+    mainRow.append(
+        nameInput,
+        createTimeInput("start", "Start time"),
+        timeSeparator,
+        createTimeInput("end", "End time"),
+        removeButton,
+    );
+
+    const detailRow = document.createElement("div");
+    detailRow.className = "schedule-row";
+
+    const dayGroup = document.createElement("div");
+    dayGroup.className = "schedule-days";
+    const days = Array.isArray(schedule.days) ? schedule.days : [];
+
+    SCHEDULE_DAY_LABELS.forEach((dayLabel, day) => {
+        const dayButton = document.createElement("button");
+        dayButton.type = "button";
+        dayButton.className = "schedule-day";
+        dayButton.textContent = dayLabel;
+        dayButton.title = SCHEDULE_DAY_NAMES[day];
+        dayButton.setAttribute("aria-pressed", String(days.includes(day)));
+        dayButton.addEventListener("click", () => {
+            const nextDays = days.includes(day)
+                ? days.filter((selectedDay) => selectedDay !== day)
+                : [...days, day].sort((a, b) => a - b);
+            updateSchedule(schedule.id, { days: nextDays });
+        });
+        dayGroup.append(dayButton);
+    });
+
+    detailRow.append(dayGroup);
+
+    const limits = schedule.limits || {};
+    for (const { key, label } of SCHEDULE_LIMIT_FIELDS) {
+        const limitInput = document.createElement("input");
+        limitInput.type = "number";
+        limitInput.min = "1";
+        limitInput.max = "1337";
+        limitInput.className = "rule-input rule-input-number";
+        limitInput.placeholder = label;
+        limitInput.title = `Max tabs ${label} while active (empty keeps the regular limit)`;
+        limitInput.value = limits[key] === undefined || limits[key] === null ? "" : limits[key];
+        limitInput.setAttribute("aria-label", `Max tabs ${label} while active`);
+        limitInput.addEventListener("change", () => {
+            const value = limitInput.value.trim();
+            updateSchedule(schedule.id, {
+                limits: {
+                    ...limits,
+                    [key]: value === "" ? null : normalizeNumber(value, null, 1, 1337),
+                },
+            });
+        });
+        detailRow.append(limitInput);
+    }
+
+    item.append(mainRow, detailRow);
+    return item;
+};
+
+const renderScheduleEditor = (schedules) => {
+    const listEl = document.getElementById("scheduleList");
+    const emptyEl = document.getElementById("scheduleEmptyState");
+
+    if (!listEl) {
+        return;
+    }
+
+    const scheduleList = Array.isArray(schedules) ? schedules : [];
+
+    listEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", scheduleList.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const schedule of scheduleList) {
+        fragment.append(createScheduleItem(schedule));
+    }
+
+    listEl.append(fragment);
+};
+
+const addSchedule = () => {
+    updateStoredOption("schedules", [], (storedSchedules) => [
+        ...(storedSchedules || []),
+        {
+            id: `schedule-${Date.now()}`,
+            name: "Focus hours",
+            days: [1, 2, 3, 4, 5],
+            start: "09:00",
+            end: "17:00",
+            limits: { maxTotal: null, maxWindow: null, maxDomain: null },
+        },
+    ]).catch((error) => console.error("Error adding schedule:", error));
+};
+
+const pickProfileSettings = (options) => {
+    const settings = {};
+    for (const key of PROFILE_OPTION_KEYS) {
+        if (key in options) {
+            settings[key] = options[key];
+        }
+    }
+    return settings;
+};
+
+const TRIM_OFFER_SCOPES_SHOWN = 2;
+
+const formatTrimScope = (scope) => {
+    const tabs = `${scope.excess} ${scope.excess === 1 ? "tab" : "tabs"}`;
+    if (scope.place === "domain") return `${tabs} over the ${scope.name} limit`;
+    if (scope.place === "rule") return `${tabs} over the ${scope.name} rule`;
+    return `${tabs} over a group limit`;
+};
+
+const renderTrimOffer = (report) => {
+    const bannerEl = document.getElementById("trimBanner");
+    const textEl = document.getElementById("trimBannerText");
+
+    if (!bannerEl || !textEl) {
+        return;
+    }
+
+    const parts = [];
+    const windowCount = report ? report.windows.length : 0;
+
+    if (windowCount > 0) {
+        parts.push(`${windowCount} ${windowCount === 1 ? "window is" : "windows are"} over the limit`);
+    }
+
+    if (report && report.totalExcess > 0) {
+        parts.push(`${report.totalExcess} ${report.totalExcess === 1 ? "tab" : "tabs"} over the total limit`);
+    }
+
+    // Domains, URL rules and groups; the rest are only counted.
+    const scopes = (report && report.scopes) || [];
+    parts.push(...scopes.slice(0, TRIM_OFFER_SCOPES_SHOWN).map(formatTrimScope));
+    if (scopes.length > TRIM_OFFER_SCOPES_SHOWN) {
+        parts.push(`${scopes.length - TRIM_OFFER_SCOPES_SHOWN} more limits exceeded`);
+    }
+
+    textEl.textContent = parts.join(", ");
+    bannerEl.classList.toggle("hidden", parts.length === 0);
+};
+
+const switchToProfile = (profileId) => {
+    sendBackgroundMessage({ action: "switchProfile", id: profileId })
+        .then((response) => {
+            if (response && response.report) {
+                renderTrimOffer(response.report);
+            }
+        })
+        .catch((error) => console.error("Error switching profile:", error));
+};
+
+const renderProfileSwitcher = (profiles, activeProfileId) => {
+    const switcherEl = document.getElementById("profileSwitcher");
+
+    if (!switcherEl) {
+        return;
+    }
+
+    switcherEl.textContent = "";
+    switcherEl.classList.toggle("hidden", profiles.length === 0);
+
+    for (const profile of profiles) {
+        const profileButton = document.createElement("button");
+        profileButton.type = "button";
+        profileButton.className = "profile-chip";
+        profileButton.textContent = profile.name;
+        profileButton.setAttribute("aria-pressed", String(profile.id === activeProfileId));
+        profileButton.addEventListener("click", () => switchToProfile(profile.id));
+        switcherEl.append(profileButton);
+    }
+};
+
+const renderProfileEditor = (profiles, activeProfileId) => {
+    const listEl = document.getElementById("profileList");
+    const emptyEl = document.getElementById("profileEmptyState");
+
+    if (!listEl) {
+        return;
+    }
+
+    listEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", profiles.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const profile of profiles) {
+        const item = document.createElement("li");
+        item.className = "rule-item";
+
+        const profileName = document.createElement("span");
+        profileName.className = "rule-name";
+        profileName.textContent = profile.name;
+
+        item.append(profileName);
+
+        if (profile.id === activeProfileId) {
+            const activeLabel = document.createElement("span");
+            activeLabel.className = "rule-tag";
+            activeLabel.textContent = "active";
+            item.append(activeLabel);
+        }
+
+        const removeButton = createRemoveButton(`Delete profile ${profile.name}`, () => {
+            updateStoredOption("profiles", [], (storedProfiles) =>
+                (storedProfiles || []).filter((storedProfile) => storedProfile.id !== profile.id),
+            )
+                .then(() => {
+                    if (profile.id === activeProfileId) {
+                        return invokeBrowserMethod(browserRef.storage.sync, "set", {
+                            activeProfileId: null,
+                        });
+                    }
+                })
+                .catch((error) => console.error("Error deleting profile:", error));
+        });
+
+        item.append(removeButton);
+        fragment.append(item);
+    }
+
+    listEl.append(fragment);
+};
+
+const refreshProfiles = async () => {
+    try {
+        const { profiles, activeProfileId } = await invokeBrowserMethod(
+            browserRef.storage.sync,
+            "get",
+            { profiles: [], activeProfileId: null },
+        );
+        const profileList = Array.isArray(profiles) ? profiles : [];
+        renderProfileSwitcher(profileList, activeProfileId);
+        renderProfileEditor(profileList, activeProfileId);
+    } catch (error) {
+        console.error("Error loading profiles:", error);
+    }
+};
+
+const addProfileFromForm = async () => {
+    const nameInput = document.getElementById("profileNameInput");
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        nameInput.setCustomValidity("Enter a profile name");
+        nameInput.reportValidity();
+        return;
+    }
+
+    nameInput.setCustomValidity("");
+
+    try {
+        const profileId = `profile-${Date.now()}`;
+        const settings = pickProfileSettings(await getCurrentOptions());
+
+        await updateStoredOption("profiles", [], (storedProfiles) => [
+            ...(storedProfiles || []),
+            { id: profileId, name, settings },
+        ]);
+        await invokeBrowserMethod(browserRef.storage.sync, "set", { activeProfileId: profileId });
+        nameInput.value = "";
+    } catch (error) {
+        console.error("Error saving profile:", error);
+    }
+};
+
+// Edits made while a profile is active are written back into that profile.
+const saveActiveProfileSettings = async (options) => {
+    const { activeProfileId } = await invokeBrowserMethod(browserRef.storage.sync, "get", {
+        activeProfileId: null,
+    });
+
+    if (!activeProfileId) {
+        return;
+    }
+
+    await updateStoredOption("profiles", [], (storedProfiles) =>
+        (storedProfiles || []).map((profile) =>
+            profile.id === activeProfileId
+                ? { ...profile, settings: { ...profile.settings, ...pickProfileSettings(options) } }
+                : profile,
+        ),
+    );
+};
+
+// ---------------------------------------------------------------------------
+// Settings import/export
+
+const SETTINGS_FILE_FORMAT = "tablimiter-settings";
+const SETTINGS_FILE_VERSION = 1;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+
+let pendingImport = null;
+
+// Imported lists get a closer look than coerceSetting gives stored ones. Each
+// validator returns the cleaned value, or undefined when it cannot be used.
+const SETTINGS_VALIDATORS = {
+    domainLimits: (value) => {
+        if (!isPlainObject(value)) {
+            return undefined;
+        }
+
+        const domainLimits = {};
+        for (const [domainInput, limit] of Object.entries(value)) {
+            const domain = normalizeDomainInput(domainInput);
+            const normalizedLimit = normalizeNumber(limit, null, 1, 200);
+            if (domain && normalizedLimit !== null) {
+                domainLimits[domain] = normalizedLimit;
+            }
+        }
+        return domainLimits;
+    },
+    domainList: (value) =>
+        Array.isArray(value)
+            ? Array.from(new Set(value.map(normalizeDomainInput).filter(Boolean)))
+            : undefined,
+    urlRules: (value) => {
+        if (!Array.isArray(value)) {
+            return undefined;
+        }
+
+        return value
+            .filter(
+                (rule) =>
+                    isPlainObject(rule) &&
+                    typeof rule.id === "string" &&
+                    compileUrlPattern(rule.pattern),
+            )
+            .map((rule) => ({
+                id: rule.id,
+                pattern: rule.pattern.trim(),
+                limit: normalizeNumber(rule.limit, 10, 1, 200),
+            }));
+    },
+    schedules: (value) => {
+        if (!Array.isArray(value)) {
+            return undefined;
+        }
+
+        return value
+            .filter(
+                (schedule) =>
+                    isPlainObject(schedule) &&
+                    typeof schedule.id === "string" &&
+                    TIME_OF_DAY_PATTERN.test(schedule.start) &&
+                    TIME_OF_DAY_PATTERN.test(schedule.end),
+            )
+            .map((schedule) => {
+                const limits = isPlainObject(schedule.limits) ? schedule.limits : {};
+                const cleanedLimits = {};
+                for (const { key } of SCHEDULE_LIMIT_FIELDS) {
+                    cleanedLimits[key] =
+                        limits[key] === null || limits[key] === undefined
+                            ? null
+                            : normalizeNumber(limits[key], null, 1, 1337);
+                }
+
+                return {
+                    id: schedule.id,
+                    name: typeof schedule.name === "string" ? schedule.name.slice(0, 60) : "",
+                    days: Array.isArray(schedule.days)
+                        ? schedule.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+                        : [],
+                    start: schedule.start,
+                    end: schedule.end,
+                    limits: cleanedLimits,
+                };
+            });
+    },
+    profiles: (value) => {
+        if (!Array.isArray(value)) {
+            return undefined;
+        }
+
+        return value
+            .filter(
+                (profile) =>
+                    isPlainObject(profile) &&
+                    typeof profile.id === "string" &&
+                    typeof profile.name === "string",
+            )
+            .map((profile) => {
+                const settings = {};
+                const storedSettings = isPlainObject(profile.settings) ? profile.settings : {};
+                for (const key of PROFILE_OPTION_KEYS) {
+                    const cleaned = key in storedSettings
+                        ? validateSettingValue(key, storedSettings[key])
+                        : undefined;
+                    if (cleaned !== undefined) {
+                        settings[key] = cleaned;
+                    }
+                }
+                return { id: profile.id, name: profile.name.slice(0, 60), settings };
+            });
+    },
+};
+
+const validateSettingValue = (key, value) => {
+    const rule = SETTINGS_SCHEMA[key];
+    if (!rule) {
+        return undefined;
+    }
+
+    return rule.type in SETTINGS_VALIDATORS
+        ? SETTINGS_VALIDATORS[rule.type](value, rule)
+        : coerceSetting(key, value);
+};
+
+const buildSettingsFile = (options) => {
+    const exportedOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (key in SETTINGS_SCHEMA) {
+            exportedOptions[key] = value;
+        }
+    }
+
+    return {
+        format: SETTINGS_FILE_FORMAT,
+        version: SETTINGS_FILE_VERSION,
+        settingsVersion: SETTINGS_VERSION,
+        exportedAt: new Date().toISOString(),
+        options: exportedOptions,
+    };
+};
+
+// Throws for files that are not settings files at all; unusable entries are
+// skipped and reported instead.
+const parseSettingsFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    if (!isPlainObject(data) || data.format !== SETTINGS_FILE_FORMAT || !isPlainObject(data.options)) {
+        throw new Error("The file is not a Tab Limiter settings file.");
+    }
+
+    if (!Number.isInteger(data.version) || data.version > SETTINGS_FILE_VERSION) {
+        throw new Error("The file was made by a newer version of Tab Limiter.");
+    }
+
+    const options = {};
+    const skippedKeys = [];
+    const settingsVersion = normalizeNumber(data.settingsVersion, 1, 1, SETTINGS_VERSION);
+
+    for (const [key, value] of Object.entries(upgradeSettings(data.options, settingsVersion))) {
+        const cleaned = validateSettingValue(key, value);
+        if (cleaned === undefined) {
+            skippedKeys.push(key);
+        } else {
+            options[key] = cleaned;
+        }
+    }
+
+    return { options, skippedKeys };
+};
+
+const formatSettingValue = (value) => {
+    if (value === undefined || value === null) {
+        return "none";
+    }
+
+    if (typeof value === "boolean") {
+        return value ? "on" : "off";
+    }
+
+    if (Array.isArray(value)) {
+        return `${value.length} ${value.length === 1 ? "entry" : "entries"}`;
+    }
+
+    if (typeof value === "object") {
+        const count = Object.keys(value).length;
+        return `${count} ${count === 1 ? "entry" : "entries"}`;
+    }
+
+    return String(value);
+};
+
+// Stored values are compared after the same cleanup, so "20" and 20 are equal.
+const diffSettings = (currentOptions, importedOptions) =>
+    Object.entries(importedOptions)
+        .map(([key, value]) => {
+            const currentValue = currentOptions[key];
+            const cleanedCurrent =
+                currentValue === undefined ? undefined : validateSettingValue(key, currentValue);
+            const before = cleanedCurrent === undefined ? currentValue : cleanedCurrent;
+            return { key, before, after: value };
+        })
+        .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+
+const renderImportPreview = (preview) => {
+    const previewEl = document.getElementById("importPreview");
+    const listEl = document.getElementById("importDiffList");
+    const summaryEl = document.getElementById("importSummary");
+    const applyButton = document.getElementById("applyImport");
+
+    if (!previewEl || !listEl || !summaryEl) {
+        return;
+    }
+
+    previewEl.classList.toggle("hidden", !preview);
+    listEl.textContent = "";
+
+    if (!preview) {
+        return;
+    }
+
+    if (preview.error) {
+        summaryEl.textContent = preview.error;
+        applyButton.classList.add("hidden");
+        return;
+    }
+
+    const { changes, skippedKeys } = preview;
+    const skippedNote = skippedKeys.length
+        ? ` Skipped ${skippedKeys.length} unknown or invalid: ${skippedKeys.join(", ")}.`
+        : "";
+    summaryEl.textContent =
+        (changes.length
+            ? `${changes.length} ${changes.length === 1 ? "setting" : "settings"} will change.`
+            : "The file matches your current settings.") + skippedNote;
+    applyButton.classList.toggle("hidden", changes.length === 0);
+
+    const fragment = document.createDocumentFragment();
+    for (const { key, before, after } of changes) {
+        const item = document.createElement("li");
+        item.className = "rule-item";
+
+        const keyName = document.createElement("span");
+        keyName.className = "rule-name";
+        keyName.textContent = key;
+        keyName.title = key;
+
+        const change = document.createElement("span");
+        change.className = "rule-tag";
+        change.textContent = `${formatSettingValue(before)} → ${formatSettingValue(after)}`;
+
+        item.append(keyName, change);
+        fragment.append(item);
+    }
+
+    listEl.append(fragment);
+};
+
+const exportSettings = async () => {
+    const settingsFile = buildSettingsFile(await getCurrentOptions());
+    const blob = new Blob([JSON.stringify(settingsFile, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tablimiter-settings-${settingsFile.exportedAt.slice(0, 10)}.json`;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const previewSettingsImport = async (file) => {
+    pendingImport = null;
+
+    try {
+        const { options, skippedKeys } = parseSettingsFile(await file.text());
+        const changes = diffSettings(await getCurrentOptions(), options);
+        pendingImport = changes.length ? options : null;
+        renderImportPreview({ changes, skippedKeys });
+    } catch (error) {
+        renderImportPreview({ error: error.message });
+    }
+};
+
+const applySettingsImport = async () => {
+    if (!pendingImport) {
+        return;
+    }
+
+    const options = pendingImport;
+    pendingImport = null;
+    await invokeBrowserMethod(browserRef.storage.sync, "set", options);
+    renderImportPreview(null);
+    updateBadge(options);
+};
+
+const getScheduleStatus = () =>
+    sendBackgroundMessage({ action: "getScheduleStatus" }).catch((error) => {
+        console.error("Error reading schedule status:", error);
+        return null;
+    });
+
+// Active schedule blocks and snoozes replace the stored limits while they run.
+const applyScheduleStatus = (options, scheduleStatus) =>
+    scheduleStatus && (scheduleStatus.active || scheduleStatus.snooze) && scheduleStatus.limits
+        ? { ...options, ...scheduleStatus.limits }
+        : options;
+
+const renderSnooze = (snooze) => {
+    const setupEl = document.getElementById("snoozeSetup");
+    const activeEl = document.getElementById("snoozeActive");
+    const activeTextEl = document.getElementById("snoozeActiveText");
+
+    if (!setupEl || !activeEl || !activeTextEl) {
+        return;
+    }
+
+    setupEl.classList.toggle("hidden", Boolean(snooze));
+    activeEl.classList.toggle("hidden", !snooze);
+
+    if (snooze) {
+        const until = formatScheduleTime(snooze.endsAt);
+        activeTextEl.textContent =
+            snooze.mode === "raise"
+                ? `Limits raised by ${snooze.extraTabs} until ${until}`
+                : `Limits paused until ${until}`;
+    }
+};
+
+const startSnoozeFromForm = () => {
+    const modeInput = document.getElementById("snoozeMode");
+    const durationInput = document.getElementById("snoozeDuration");
+
+    if (!modeInput || !durationInput) {
+        return;
+    }
+
+    const isPause = modeInput.value === "pause";
+    sendBackgroundMessage({
+        action: "startSnooze",
+        mode: isPause ? "pause" : "raise",
+        extraTabs: isPause ? 0 : parseInt(modeInput.value, 10),
+        minutes: parseInt(durationInput.value, 10),
+    })
+        .then(() => {
+            renderTrimOffer(null);
+            scheduleTabCountsUpdate(0);
+        })
+        .catch((error) => console.error("Error starting snooze:", error));
+};
+
+const endSnoozeNow = () => {
+    sendBackgroundMessage({ action: "endSnooze" })
+        .then((response) => {
+            renderTrimOffer(response && response.report);
+            scheduleTabCountsUpdate(0);
+        })
+        .catch((error) => console.error("Error ending snooze:", error));
+};
+
+const formatScheduleTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+    if (date.toDateString() === new Date().toDateString()) {
+        return time;
+    }
+
+    return `${date.toLocaleDateString([], { weekday: "short" })} ${time}`;
+};
+
+const renderScheduleStatus = (scheduleStatus) => {
+    const statusEl = document.getElementById("scheduleStatus");
+
+    if (!statusEl) {
+        return;
+    }
+
+    const parts = [];
+
+    if (scheduleStatus && scheduleStatus.active) {
+        const { name, endsAt } = scheduleStatus.active;
+        parts.push(endsAt ? `${name} until ${formatScheduleTime(endsAt)}` : name);
+    }
+
+    if (scheduleStatus && scheduleStatus.next) {
+        const { name, startsAt } = scheduleStatus.next;
+        parts.push(`Next: ${name} ${formatScheduleTime(startsAt)}`);
+    }
+
+    statusEl.textContent = parts.join(" · ");
+    statusEl.classList.toggle("is-active", Boolean(scheduleStatus && scheduleStatus.active));
+    statusEl.classList.toggle("hidden", parts.length === 0);
+
+    if (scheduleStatus && scheduleStatus.active && scheduleStatus.limits) {
+        const { maxTotal, maxWindow, maxDomain } = scheduleStatus.limits;
+        statusEl.title = `Active limits: ${maxTotal} total, ${maxWindow} per window, ${maxDomain} per domain`;
+    } else {
+        statusEl.removeAttribute("title");
+    }
+};
+
+const runTabCountsUpdate = async () => {
+    if (tabCountsUpdateInFlight) {
+        tabCountsUpdatePending = true;
+        return;
+    }
+
+    tabCountsUpdateInFlight = true;
+    tabCountsUpdatePending = false;
+
+    try {
+        await updateTabCounts();
+    } finally {
+        tabCountsUpdateInFlight = false;
+
+        if (tabCountsUpdatePending) {
+            tabCountsUpdatePending = false;
+            scheduleTabCountsUpdate(75);
+        }
+    }
+};
+
+const scheduleTabCountsUpdate = (delay = 100) => {
+    if (tabCountsUpdateTimer) {
+        clearTimeout(tabCountsUpdateTimer);
+    }
+
+    tabCountsUpdateTimer = setTimeout(() => {
+        tabCountsUpdateTimer = null;
+        runTabCountsUpdate();
+    }, delay);
+};
+
+const formatTimeAgo = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / (60 * 24))}d ago`;
+};
+
+const createFaviconImage = (className, faviconUrl) => {
+    const favicon = document.createElement("img");
+    favicon.className = className;
+    favicon.alt = "";
+    favicon.width = 16;
+    favicon.height = 16;
+    favicon.src = faviconUrl || "assets/domain.svg";
+
+    favicon.addEventListener("error", () => {
+        if (favicon.dataset.fallbackApplied === "true") {
+            return;
+        }
+        favicon.dataset.fallbackApplied = "true";
+        favicon.src = "assets/domain.svg";
+    });
+
+    return favicon;
+};
+
+// Room is checked by the background, the same way as for automatic reopening.
+const getWaitingListRoom = async (windowId) => {
+    const response = await sendBackgroundMessage({ action: "getWaitingListRoom", windowId });
+    return (response && response.room) || {};
+};
+
+const renderWaitingList = (waitingList, room) => {
+    const waitingCardEl = document.getElementById("waitingCard");
+    const waitingListEl = document.getElementById("waitingList");
+    const waitingBadgeEl = document.getElementById("waitingCountBadge");
+
+    if (!waitingCardEl || !waitingListEl) {
+        return;
+    }
+
+    waitingListEl.textContent = "";
+    waitingCardEl.classList.toggle("hidden", waitingList.length === 0);
+
+    if (waitingBadgeEl) {
+        waitingBadgeEl.textContent = waitingList.length;
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const entry of waitingList) {
+        const item = document.createElement("li");
+        item.className = "waiting-item";
+
+        const favicon = createFaviconImage("domain-favicon", entry.favIconUrl);
+
+        const details = document.createElement("span");
+        details.className = "waiting-details";
+
+        const title = document.createElement("span");
+        title.className = "waiting-title";
+        title.textContent = entry.title || entry.url;
+        title.title = entry.url;
+
+        const meta = document.createElement("span");
+        meta.className = "waiting-meta";
+        meta.textContent = `${WAITING_REASON_LABELS[entry.reason] || "limit"} · ${formatTimeAgo(
+            entry.blockedAt,
+        )}`;
+
+        details.append(title, meta);
+
+        const hasRoom = Boolean(room[entry.id]);
+        const openButton = document.createElement("button");
+        openButton.type = "button";
+        openButton.className = "rule-btn waiting-open-btn";
+        openButton.textContent = "Open";
+        openButton.disabled = !hasRoom;
+        openButton.title = hasRoom ? "Open this tab" : "No room under the current limits";
+        openButton.addEventListener("click", () => {
+            sendBackgroundMessage({ action: "openWaitingTab", id: entry.id }).catch((error) =>
+                console.error("Error opening waiting tab:", error),
+            );
+        });
+
+        const removeButton = createRemoveButton("Remove from waiting list", () => {
+            sendBackgroundMessage({ action: "removeWaitingTab", id: entry.id }).catch((error) =>
+                console.error("Error removing waiting tab:", error),
+            );
+        });
+
+        item.append(favicon, details, openButton, removeButton);
+        fragment.append(item);
+    }
+
+    waitingListEl.append(fragment);
+};
+
+// Per-window names and limits, kept by background.js (see setWindowSettings).
+const getWindowSettingsList = async () =>
+    readWindowSettingsList(
+        await invokeBrowserMethod(browserRef.storage.local, "get", { [WINDOW_SETTINGS_KEY]: [] }),
+    );
+
+const renderWindowSettings = (entry, sharedMaxWindow) => {
+    const titleEl = document.getElementById("windowCardTitle");
+    const nameInput = document.getElementById("windowNameInput");
+    const limitInput = document.getElementById("windowLimitInput");
+
+    if (titleEl) {
+        titleEl.textContent = (entry && entry.name) || "Window";
+    }
+
+    if (!nameInput || !limitInput) {
+        return;
+    }
+
+    limitInput.placeholder = `${sharedMaxWindow}`;
+    limitInput.title = `Leave empty to use the shared limit of ${sharedMaxWindow}`;
+
+    // Preserve the user's in-progress edit in the active popup.
+    if (document.activeElement !== nameInput) {
+        nameInput.value = (entry && entry.name) || "";
+    }
+
+    if (document.activeElement !== limitInput) {
+        limitInput.value = (entry && entry.maxWindow) || "";
+    }
+};
+
+const saveWindowSettingsFromForm = async () => {
+    const nameInput = document.getElementById("windowNameInput");
+    const limitInput = document.getElementById("windowLimitInput");
+    const currentWindow = await invokeBrowserMethod(browserRef.windows, "getCurrent", {});
+
+    if (!currentWindow) {
+        return;
+    }
+
+    await sendBackgroundMessage({
+        action: "setWindowSettings",
+        windowId: currentWindow.id,
+        name: nameInput.value,
+        maxWindow: limitInput.value,
+    });
+    nameInput.blur();
+    limitInput.blur();
+    scheduleTabCountsUpdate(0);
+};
+
+const getWaitingList = async () => {
+    const stored = await invokeBrowserMethod(browserRef.storage.local, "get", { waitingList: [] });
+    return Array.isArray(stored.waitingList) ? stored.waitingList : [];
+};
+
+const ENFORCEMENT_ACTION_LABELS = {
+    closed: "Closed",
+    moved: "Moved to another window",
+    movedToNewWindow: "Moved to a new window",
+};
+
+const getEnforcementLog = async () => {
+    const stored = await invokeBrowserMethod(browserRef.storage.local, "get", {
+        enforcementLog: [],
+    });
+    return Array.isArray(stored.enforcementLog) ? stored.enforcementLog : [];
+};
+
+const renderEnforcementLog = (log) => {
+    const logListEl = document.getElementById("enforcementLogList");
+    const emptyEl = document.getElementById("enforcementEmptyState");
+    const badgeEl = document.getElementById("enforcementCountBadge");
+
+    if (!logListEl) {
+        return;
+    }
+
+    logListEl.textContent = "";
+
+    if (emptyEl) {
+        emptyEl.classList.toggle("hidden", log.length > 0);
+    }
+
+    if (badgeEl) {
+        badgeEl.textContent = log.length;
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const entry of log.slice().reverse()) {
+        const item = document.createElement("li");
+        item.className = "waiting-item";
+
+        const favicon = createFaviconImage("domain-favicon", entry.favIconUrl);
+
+        const details = document.createElement("span");
+        details.className = "waiting-details";
+
+        const title = document.createElement("span");
+        title.className = "waiting-title";
+        title.textContent = entry.title || entry.url;
+        title.title = entry.url;
+
+        const meta = document.createElement("span");
+        meta.className = "waiting-meta";
+        meta.textContent = [
+            ENFORCEMENT_ACTION_LABELS[entry.action] || entry.action,
+            WAITING_REASON_LABELS[entry.place] || "limit",
+            formatTimeAgo(entry.at),
+            entry.reopenedAt ? "reopened" : "",
+        ]
+            .filter(Boolean)
+            .join(" · ");
+
+        details.append(title, meta);
+        item.append(favicon, details);
+
+        if (entry.action === "closed" && !entry.reopenedAt) {
+            const reopenButton = document.createElement("button");
+            reopenButton.type = "button";
+            reopenButton.className = "rule-btn waiting-open-btn";
+            reopenButton.textContent = "Reopen";
+            reopenButton.title = "Reopen this tab, even if it goes over a limit";
+            reopenButton.addEventListener("click", () => {
+                reopenButton.disabled = true;
+                sendBackgroundMessage({ action: "reopenLoggedTab", id: entry.id }).catch((error) =>
+                    console.error("Error reopening tab:", error),
+                );
+            });
+            item.append(reopenButton);
+        }
+
+        fragment.append(item);
+    }
+
+    logListEl.append(fragment);
 };
 
-const renderTopDomains = (topDomains) => {
-    const domainListEl = document.getElementById("domainList");
-    const domainEmptyEl = document.getElementById("domainEmptyState");
-
-    if (!domainListEl || !domainEmptyEl) {
-        return;
-    }
+// ----------------------------------------------------------------------------
+// History view
 
-    domainListEl.textContent = "";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY_RANGES = {
+    day: { span: DAY_MS, bucket: HOUR_MS },
+    week: { span: 7 * DAY_MS, bucket: DAY_MS },
+};
+const LIMIT_HIT_LABELS = {
+    total: "Total limit",
+    window: "Window limit",
+    domain: "Domain limit",
+    group: "Group limit",
+    rule: "URL rule limit",
+};
+let historyRange = "day";
 
-    if (!topDomains || topDomains.length === 0) {
-        domainEmptyEl.classList.remove("hidden");
-        return;
-    }
+const getHistory = async () => {
+    const stored = await invokeBrowserMethod(browserRef.storage.local, "get", { tabHistory: {} });
+    const history = stored.tabHistory || {};
 
-    domainEmptyEl.classList.add("hidden");
+    return {
+        samples: Array.isArray(history.samples) ? history.samples : [],
+        limitHits: Array.isArray(history.limitHits) ? history.limitHits : [],
+    };
+};
 
-    const fragment = document.createDocumentFragment();
-    for (const { domain, count, faviconUrl } of topDomains) {
-        const item = document.createElement("li");
-        item.className = "domain-item";
+// Day view: hourly bars ending with the current hour. Week view: daily bars
+// ending with today, aligned to local midnight.
+const getHistoryWindow = (range, now) => {
+    const { span, bucket } = HISTORY_RANGES[range];
+    let end = Math.floor(now / bucket) * bucket + bucket;
 
-        const domainLabel = document.createElement("span");
-        domainLabel.className = "domain-label";
+    if (range === "week") {
+        const startOfToday = new Date(now);
+        startOfToday.setHours(0, 0, 0, 0);
+        end = startOfToday.getTime() + DAY_MS;
+    }
 
-        const favicon = document.createElement("img");
-        favicon.className = "domain-favicon";
-        favicon.alt = "";
-        favicon.width = 16;
-        favicon.height = 16;
-        favicon.src = faviconUrl || "assets/domain.svg";
+    return { start: end - span, end, bucket };
+};
 
-        favicon.addEventListener("error", () => {
-            if (favicon.dataset.fallbackApplied === "true") {
-                return;
-            }
-            favicon.dataset.fallbackApplied = "true";
-            favicon.src = "assets/domain.svg";
-        });
+const buildHistoryBuckets = (samples, range, now) => {
+    const { start, end, bucket } = getHistoryWindow(range, now);
+    const buckets = [];
 
-        const domainName = document.createElement("span");
-        domainName.className = "domain-name";
-        domainName.textContent = domain;
-        domainName.title = domain;
+    for (let bucketStart = start; bucketStart < end; bucketStart += bucket) {
+        buckets.push({ start: bucketStart, peak: null });
+    }
 
-        const countBadge = document.createElement("span");
-        countBadge.className = "count-badge domain-list-badge";
-        countBadge.textContent = count;
+    for (const sample of samples) {
+        if (sample.t < start || sample.t >= end) {
+            continue;
+        }
 
-        domainLabel.append(favicon, domainName);
-        item.append(domainLabel, countBadge);
-        fragment.append(item);
+        const target = buckets[Math.floor((sample.t - start) / bucket)];
+        if (target && (target.peak === null || sample.total > target.peak)) {
+            target.peak = sample.total;
+        }
     }
 
-    domainListEl.append(fragment);
+    return buckets;
 };
 
-const syncDomainFeatureVisibility = (partialOptions = {}) => {
-    const enabledInput = document.getElementById("enableDomainLimit");
-    const domainInput = document.getElementById("maxDomain");
-    const domainStepperGroup = document.getElementById("domainStepperGroup");
-    const domainStepperContainer = document.getElementById("domainStepperContainer");
+const formatHistoryBucket = (timestamp, range) =>
+    range === "week"
+        ? new Date(timestamp).toLocaleDateString([], { weekday: "short", day: "numeric" })
+        : new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+const renderHistoryChart = (buckets, options, range) => {
+    const chartEl = document.getElementById("historyChart");
+    const axisStartEl = document.getElementById("historyAxisStart");
+    const axisEndEl = document.getElementById("historyAxisEnd");
 
-    if (!domainInput) {
+    if (!chartEl) {
         return;
     }
 
-    const isEnabled =
-        "enableDomainLimit" in partialOptions
-            ? Boolean(partialOptions.enableDomainLimit)
-            : Boolean(enabledInput && enabledInput.checked);
+    const { maxTotal } = getBudgetLimits(options, false);
+    const scale = Math.max(maxTotal, ...buckets.map((bucket) => bucket.peak || 0));
+    const fragment = document.createDocumentFragment();
 
-    domainInput.disabled = !isEnabled;
+    for (const bucket of buckets) {
+        const bar = document.createElement("div");
+        bar.className = "history-bar";
 
-    const domainStepperButtons = document.querySelectorAll('.stepper-btn[data-input="maxDomain"]');
-    for (let i = 0; i < domainStepperButtons.length; i++) {
-        domainStepperButtons[i].disabled = !isEnabled;
+        if (bucket.peak !== null) {
+            bar.classList.add(getUsageBand((bucket.peak / maxTotal) * 100));
+            bar.style.height = `${(bucket.peak / scale) * 100}%`;
+            bar.title = `${formatHistoryBucket(bucket.start, range)} · ${bucket.peak} ${
+                bucket.peak === 1 ? "tab" : "tabs"
+            }`;
+        }
+
+        fragment.append(bar);
     }
 
-    if (domainStepperGroup) {
-        domainStepperGroup.classList.toggle("is-disabled", !isEnabled);
+    chartEl.textContent = "";
+    chartEl.append(fragment);
+    chartEl.setAttribute(
+        "aria-label",
+        `Most open tabs per ${range === "week" ? "day over the last week" : "hour over the last day"}`,
+    );
+
+    if (axisStartEl && buckets.length > 0) {
+        axisStartEl.textContent = formatHistoryBucket(buckets[0].start, range);
     }
 
-    if (domainStepperContainer) {
-        domainStepperContainer.classList.toggle("is-disabled", !isEnabled);
+    if (axisEndEl) {
+        axisEndEl.textContent = range === "week" ? "Today" : "Now";
     }
 };
 
-const syncColoredFaviconsVisibility = (partialOptions = {}) => {
-    const coloredFaviconsInput = document.getElementById("coloredFavicons");
-    const isEnabled =
-        "coloredFavicons" in partialOptions
-            ? Boolean(partialOptions.coloredFavicons)
-            : coloredFaviconsInput
-              ? coloredFaviconsInput.checked
-              : false;
+const createHistoryStat = (label, value, title) => {
+    const item = document.createElement("li");
+    item.className = "history-stat";
 
-    document.body.classList.toggle("colored-favicons-enabled", isEnabled);
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+
+    const valueEl = document.createElement("span");
+    valueEl.className = "history-stat-value";
+    valueEl.textContent = value;
+
+    if (title) {
+        item.title = title;
+    }
+
+    item.append(labelEl, valueEl);
+    return item;
 };
 
-const runTabCountsUpdate = async () => {
-    if (tabCountsUpdateInFlight) {
-        tabCountsUpdatePending = true;
+const findPeakSample = (samples, getValue) =>
+    samples.reduce((peak, sample) => (!peak || getValue(sample) > getValue(peak) ? sample : peak), null);
+
+const renderHistoryPeaks = (samples, range) => {
+    const peaksEl = document.getElementById("historyPeaks");
+
+    if (!peaksEl) {
         return;
     }
 
-    tabCountsUpdateInFlight = true;
-    tabCountsUpdatePending = false;
+    peaksEl.textContent = "";
 
-    try {
-        await updateTabCounts();
-    } finally {
-        tabCountsUpdateInFlight = false;
+    if (samples.length === 0) {
+        peaksEl.append(createHistoryStat("No samples yet", "–"));
+        return;
+    }
 
-        if (tabCountsUpdatePending) {
-            tabCountsUpdatePending = false;
-            scheduleTabCountsUpdate(75);
+    const formatWhen = (sample) => `Recorded ${formatHistoryBucket(sample.t, range)}`;
+    const totalPeak = findPeakSample(samples, (sample) => sample.total);
+    const windowPeak = findPeakSample(samples, (sample) => sample.window);
+    const windowsPeak = findPeakSample(samples, (sample) => sample.windows);
+
+    peaksEl.append(
+        createHistoryStat("Open tabs", totalPeak.total, formatWhen(totalPeak)),
+        createHistoryStat("Tabs in a window", windowPeak.window, formatWhen(windowPeak)),
+        createHistoryStat("Windows", windowsPeak.windows, formatWhen(windowsPeak)),
+    );
+
+    let domainPeak = null;
+    for (const sample of samples) {
+        for (const entry of sample.domains || []) {
+            if (!domainPeak || entry.count > domainPeak.count) {
+                domainPeak = { ...entry, t: sample.t };
+            }
         }
     }
+
+    if (domainPeak) {
+        peaksEl.append(createHistoryStat(domainPeak.domain, domainPeak.count, formatWhen(domainPeak)));
+    }
 };
 
-const scheduleTabCountsUpdate = (delay = 100) => {
-    if (tabCountsUpdateTimer) {
-        clearTimeout(tabCountsUpdateTimer);
+const renderHistoryLimitHits = (limitHits) => {
+    const limitHitsEl = document.getElementById("historyLimitHits");
+
+    if (!limitHitsEl) {
+        return;
     }
 
-    tabCountsUpdateTimer = setTimeout(() => {
-        tabCountsUpdateTimer = null;
-        runTabCountsUpdate();
-    }, delay);
+    const counts = {};
+    for (const hit of limitHits) {
+        counts[hit.place] = (counts[hit.place] || 0) + 1;
+    }
+
+    limitHitsEl.textContent = "";
+
+    const places = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    if (places.length === 0) {
+        limitHitsEl.append(createHistoryStat("No limits reached", "0"));
+        return;
+    }
+
+    for (const place of places) {
+        limitHitsEl.append(createHistoryStat(LIMIT_HIT_LABELS[place] || place, `${counts[place]}×`));
+    }
+};
+
+const renderHistory = async () => {
+    try {
+        const [history, options, enforcementLog] = await Promise.all([
+            getHistory(),
+            getCurrentOptions(),
+            getEnforcementLog(),
+        ]);
+        const now = Date.now();
+        const { start, end } = getHistoryWindow(historyRange, now);
+        const inRange = (entry) => entry.t >= start && entry.t < end;
+        const samples = history.samples.filter(inRange);
+        const emptyEl = document.getElementById("historyEmptyState");
+
+        if (emptyEl) {
+            emptyEl.classList.toggle("hidden", history.samples.length > 0);
+        }
+
+        renderHistoryChart(buildHistoryBuckets(samples, historyRange, now), options, historyRange);
+        renderHistoryPeaks(samples, historyRange);
+        renderHistoryLimitHits(history.limitHits.filter(inRange));
+        renderEnforcementLog(enforcementLog);
+    } catch (error) {
+        console.error("Error rendering history:", error);
+    }
 };
 
 // Update progress bar color based on percentage
@@ -373,33 +2250,75 @@ const updateProgressBarColor = (progressEl, percentage) => {
     progressEl.classList.remove("purple", "blue", "green", "yellow", "orange", "red");
 
     // Add appropriate color class based on percentage ranges
-    if (percentage <= 25) {
-        progressEl.classList.add("purple");
-    } else if (percentage <= 45) {
-        progressEl.classList.add("blue");
-    } else if (percentage <= 70) {
-        progressEl.classList.add("green");
-    } else if (percentage <= 85) {
-        progressEl.classList.add("yellow");
-    } else if (percentage < 100) {
-        progressEl.classList.add("orange");
-    } else {
-        progressEl.classList.add("red");
+    progressEl.classList.add(getUsageBand(percentage));
+};
+
+const updateIncognitoCard = (options, incognitoOpen, incognitoWindowCount) => {
+    const { maxTotal } = getBudgetLimits(options, true);
+    const openEl = document.getElementById("incognitoOpenCount");
+    const leftEl = document.getElementById("incognitoLeftCount");
+    const progressEl = document.getElementById("incognitoProgressFill");
+    const windowBadgeEl = document.getElementById("incognitoWindowCountBadge");
+
+    if (openEl) {
+        openEl.textContent = incognitoOpen;
+    }
+
+    if (leftEl) {
+        leftEl.textContent = Math.max(0, maxTotal - incognitoOpen);
+    }
+
+    if (progressEl) {
+        const progress = Math.min(100, (incognitoOpen / maxTotal) * 100);
+        progressEl.style.width = `${progress}%`;
+        updateProgressBarColor(progressEl, progress);
+    }
+
+    if (windowBadgeEl) {
+        windowBadgeEl.textContent = incognitoWindowCount;
     }
 };
 
 // Update tab count displays
 const updateTabCounts = async () => {
     try {
-        const options = await getCurrentOptions();
+        const [storedOptions, scheduleStatus, windowSettings] = await Promise.all([
+            getCurrentOptions(),
+            getScheduleStatus(),
+            getWindowSettingsList(),
+        ]);
+        const options = applyScheduleStatus(
+            { ...storedOptions, windowLimits: buildWindowLimits(windowSettings) },
+            scheduleStatus,
+        );
         syncDomainFeatureVisibility(options);
-        const [globalTabs, windowTabs, windows] = await Promise.all([
-            getAllCountableTabs(options),
+        syncGroupFeatureVisibility(options);
+        renderScheduleStatus(scheduleStatus);
+        renderSnooze(scheduleStatus && scheduleStatus.snooze);
+        const [allTabs, windowTabs, allWindows, waitingList, currentWindow] = await Promise.all([
+            // Only tabs in normal windows count, as in the background.
+            queryTabs({ windowType: "normal" }),
             getFocusedWindowCountableTabs(options),
             getNormalWindows(false),
+            getWaitingList(),
+            invokeBrowserMethod(browserRef.windows, "getCurrent", {}),
         ]);
-        const maxTotal = parseInt(options.maxTotal, 10) || 0;
-        const maxWindow = parseInt(options.maxWindow, 10) || 0;
+        // Private tabs have their own card when they are limited separately.
+        const separateIncognito = Boolean(options.separateIncognitoLimits);
+        const budgetTabs = separateIncognito
+            ? allTabs.filter((tab) => !tab.incognito)
+            : allTabs;
+        const windows = separateIncognito
+            ? allWindows.filter((window) => !window.incognito)
+            : allWindows;
+        const globalTabs = filterCountableTabs(budgetTabs, options);
+        const exemptCount = countExemptTabs(budgetTabs, options);
+        const maxTotal = getBudgetLimits(options, false).maxTotal;
+        const maxWindow = getWindowLimit(
+            options,
+            currentWindow && currentWindow.id,
+            currentWindow && currentWindow.incognito,
+        );
         const globalOpen = globalTabs.length;
         const globalLeft = Math.max(0, maxTotal - globalOpen);
         const windowOpen = windowTabs.length;
@@ -414,6 +2333,7 @@ const updateTabCounts = async () => {
         const windowLeftEl = document.getElementById("windowLeftCount");
         const windowProgressEl = document.getElementById("windowProgressFill");
         const windowBadgeEl = document.getElementById("windowCountBadge");
+        const exemptNoteEl = document.getElementById("exemptNote");
 
         if (globalOpenEl) {
             globalOpenEl.textContent = globalOpen;
@@ -424,7 +2344,7 @@ const updateTabCounts = async () => {
         }
 
         if (globalProgressEl) {
-            const globalProgress = Math.min(100, (globalOpen / options.maxTotal) * 100);
+            const globalProgress = Math.min(100, (globalOpen / maxTotal) * 100);
             globalProgressEl.style.width = `${globalProgress}%`;
             updateProgressBarColor(globalProgressEl, globalProgress);
         }
@@ -438,7 +2358,7 @@ const updateTabCounts = async () => {
         }
 
         if (windowProgressEl) {
-            const windowProgress = Math.min(100, (windowOpen / options.maxWindow) * 100);
+            const windowProgress = Math.min(100, (windowOpen / maxWindow) * 100);
             windowProgressEl.style.width = `${windowProgress}%`;
             updateProgressBarColor(windowProgressEl, windowProgress);
         }
@@ -447,7 +2367,41 @@ const updateTabCounts = async () => {
             windowBadgeEl.textContent = windowCount;
         }
 
-        renderTopDomains(buildTopDomains(globalTabs, TOP_DOMAINS_LIMIT));
+        if (exemptNoteEl) {
+            exemptNoteEl.textContent = `${exemptCount} ${exemptCount === 1 ? "tab" : "tabs"} exempt from limits`;
+            exemptNoteEl.classList.toggle("hidden", exemptCount === 0);
+        }
+
+        syncIncognitoCardVisibility(options);
+        if (separateIncognito) {
+            const incognitoTabs = filterCountableTabs(
+                allTabs.filter((tab) => tab.incognito),
+                options,
+            );
+            updateIncognitoCard(options, incognitoTabs.length, allWindows.length - windows.length);
+        }
+
+        renderTopDomains(buildTopDomains(globalTabs, options), options, {
+            domainTabs: groupTabsByDomain(budgetTabs, options),
+            windowLabels: buildWindowLabels(windows, currentWindow, windowSettings),
+        });
+        renderDuplicateAction(allTabs, options);
+        renderUrlRuleUsage(buildUrlRuleUsage(globalTabs, options));
+        renderGroupBreakdown(
+            buildGroupBreakdown(
+                await getWindowTabGroups(currentWindow && currentWindow.id),
+                windowTabs,
+            ),
+            options,
+        );
+        renderWaitingList(
+            waitingList,
+            waitingList.length > 0 ? await getWaitingListRoom(currentWindow && currentWindow.id) : {},
+        );
+        renderWindowSettings(
+            windowSettings.find((entry) => currentWindow && entry.windowId === currentWindow.id),
+            getBudgetLimits(options, currentWindow && currentWindow.incognito).maxWindow,
+        );
     } catch (error) {
         console.error("Error updating tab counts:", error);
     }
@@ -456,14 +2410,16 @@ const updateTabCounts = async () => {
 // Toggle between main view and settings view
 const toggleView = () => {
     const mainView = document.getElementById("mainView");
+    const historyView = document.getElementById("historyView");
     const settingsView = document.getElementById("settingsView");
     const settingsToggle = document.getElementById("settingsToggle");
     const settingsIcon = settingsToggle.querySelector(".settings-icon");
     const subtitle = document.getElementById("subtitle");
 
-    if (currentView === "main") {
+    if (currentView !== "settings") {
         // Switch to settings view
         mainView.classList.add("hidden");
+        setHistoryViewVisible(historyView, false);
         settingsView.classList.remove("hidden");
         settingsToggle.setAttribute("aria-expanded", "true");
         settingsToggle.setAttribute("aria-label", "Close settings");
@@ -498,28 +2454,63 @@ const toggleView = () => {
     }
 };
 
+const setHistoryViewVisible = (historyView, isVisible) => {
+    const historyToggle = document.getElementById("historyToggle");
+
+    if (historyView) {
+        historyView.classList.toggle("hidden", !isVisible);
+    }
+
+    if (historyToggle) {
+        historyToggle.setAttribute("aria-pressed", String(isVisible));
+        historyToggle.setAttribute("aria-label", isVisible ? "Close history" : "Show history");
+    }
+};
+
+const toggleHistoryView = () => {
+    if (currentView === "settings") {
+        toggleView();
+    }
+
+    const mainView = document.getElementById("mainView");
+    const historyView = document.getElementById("historyView");
+    const showHistory = currentView !== "history";
+
+    mainView.classList.toggle("hidden", showHistory);
+    setHistoryViewVisible(historyView, showHistory);
+    currentView = showHistory ? "history" : "main";
+
+    if (showHistory) {
+        renderHistory();
+    }
+};
+
 // Collect and save options to storage
 const saveOptions = () => {
     // Collect all checkbox and number inputs
-    const inputs =
-        $inputs || document.querySelectorAll('input[type="checkbox"], input[type="number"]');
+    const inputs = $inputs || document.querySelectorAll(OPTION_INPUTS_SELECTOR);
 
     const values = {};
 
     for (let i = 0; i < inputs.length; i++) {
         const input = inputs[i];
         const value = input.type === "checkbox" ? input.checked : input.value;
-        values[input.id] = value;
+        const typedValue = coerceSetting(input.id, value);
+        if (typedValue !== undefined) {
+            values[input.id] = typedValue;
+        }
     }
 
     const options = values;
     syncDomainFeatureVisibility(options);
+    syncGroupFeatureVisibility(options);
     syncColoredFaviconsVisibility(options);
 
     invokeBrowserMethod(browserRef.storage.sync, "set", options)
         .then(() => {
             updateBadge(options);
             scheduleTabCountsUpdate(0); // Coalesce UI refreshes across multiple triggers
+            return saveActiveProfileSettings(options);
         })
         .catch((error) => {
             console.error("Error saving options:", error);
@@ -542,10 +2533,21 @@ const restoreOptions = () => {
 
 document.addEventListener("DOMContentLoaded", () => {
     // Cache inputs first, then restore their values
-    $inputs = document.querySelectorAll('input[type="checkbox"], input[type="number"]');
+    $inputs = document.querySelectorAll(OPTION_INPUTS_SELECTOR);
     syncColoredFaviconsVisibility();
     restoreOptions();
-    runTabCountsUpdate(); // Update tab counts on page load
+
+    // The private card only makes sense when the user allowed the extension in private windows.
+    invokeBrowserMethod(browserRef.extension, "isAllowedIncognitoAccess")
+        .then((isAllowed) => {
+            incognitoAccessAllowed = Boolean(isAllowed);
+        })
+        .catch(() => {
+            incognitoAccessAllowed = false;
+        })
+        .finally(() => {
+            runTabCountsUpdate(); // Update tab counts on page load
+        });
 
     // Settings toggle functionality
     const settingsToggle = document.getElementById("settingsToggle");
@@ -553,6 +2555,40 @@ document.addEventListener("DOMContentLoaded", () => {
         settingsToggle.addEventListener("click", toggleView);
     }
 
+    const historyToggle = document.getElementById("historyToggle");
+    if (historyToggle) {
+        historyToggle.addEventListener("click", toggleHistoryView);
+    }
+
+    const historyRangeButtons = document.querySelectorAll(".history-range [data-range]");
+    for (const rangeButton of historyRangeButtons) {
+        rangeButton.addEventListener("click", () => {
+            historyRange = rangeButton.dataset.range;
+            for (const button of historyRangeButtons) {
+                button.setAttribute("aria-pressed", String(button === rangeButton));
+            }
+            renderHistory();
+        });
+    }
+
+    const clearEnforcementLogButton = document.getElementById("clearEnforcementLog");
+    if (clearEnforcementLogButton) {
+        clearEnforcementLogButton.addEventListener("click", () => {
+            sendBackgroundMessage({ action: "clearEnforcementLog" }).catch((error) =>
+                console.error("Error clearing enforcement log:", error),
+            );
+        });
+    }
+
+    const clearHistoryButton = document.getElementById("clearHistory");
+    if (clearHistoryButton) {
+        clearHistoryButton.addEventListener("click", () => {
+            sendBackgroundMessage({ action: "clearHistory" })
+                .then(renderHistory)
+                .catch((error) => console.error("Error clearing history:", error));
+        });
+    }
+
     const enableDomainLimitInput = document.getElementById("enableDomainLimit");
     if (enableDomainLimitInput) {
         enableDomainLimitInput.addEventListener("change", () => {
@@ -561,11 +2597,175 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
+    const enableGroupLimitInput = document.getElementById("enableGroupLimit");
+    if (enableGroupLimitInput) {
+        enableGroupLimitInput.addEventListener("change", () => {
+            syncGroupFeatureVisibility({ enableGroupLimit: enableGroupLimitInput.checked });
+            scheduleTabCountsUpdate(0);
+        });
+    }
+
+    const domainLimitForm = document.getElementById("domainLimitForm");
+    if (domainLimitForm) {
+        domainLimitForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            addDomainLimitFromForm();
+        });
+
+        document.getElementById("domainLimitDomainInput").addEventListener("input", (event) => {
+            event.target.setCustomValidity("");
+        });
+    }
+
+    const windowSettingsForm = document.getElementById("windowSettingsForm");
+    if (windowSettingsForm) {
+        windowSettingsForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            saveWindowSettingsFromForm().catch((error) =>
+                console.error("Error saving window settings:", error),
+            );
+        });
+    }
+
+    const urlRuleForm = document.getElementById("urlRuleForm");
+    if (urlRuleForm) {
+        urlRuleForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            addUrlRuleFromForm();
+        });
+
+        document.getElementById("urlRulePatternInput").addEventListener("input", (event) => {
+            event.target.setCustomValidity("");
+        });
+    }
+
+    const profileForm = document.getElementById("profileForm");
+    if (profileForm) {
+        profileForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            addProfileFromForm();
+        });
+
+        document.getElementById("profileNameInput").addEventListener("input", (event) => {
+            event.target.setCustomValidity("");
+        });
+    }
+
+    const trimNowButton = document.getElementById("trimNow");
+    if (trimNowButton) {
+        trimNowButton.addEventListener("click", () => {
+            sendBackgroundMessage({ action: "trimToLimits" })
+                .then(() => renderTrimOffer(null))
+                .catch((error) => console.error("Error trimming tabs:", error));
+        });
+    }
+
+    const dismissTrimButton = document.getElementById("dismissTrim");
+    if (dismissTrimButton) {
+        dismissTrimButton.addEventListener("click", () => {
+            renderTrimOffer(null);
+            sendBackgroundMessage({ action: "dismissTrimOffer" }).catch((error) =>
+                console.error("Error dismissing trim offer:", error),
+            );
+        });
+    }
+
+    // A snooze that ended while the popup was closed leaves a trim offer behind.
+    sendBackgroundMessage({ action: "getTrimOffer" })
+        .then((response) => {
+            if (response && response.report) {
+                renderTrimOffer(response.report);
+            }
+        })
+        .catch((error) => console.error("Error reading trim offer:", error));
+
+    const startSnoozeButton = document.getElementById("startSnooze");
+    if (startSnoozeButton) {
+        startSnoozeButton.addEventListener("click", startSnoozeFromForm);
+    }
+
+    const endSnoozeButton = document.getElementById("endSnooze");
+    if (endSnoozeButton) {
+        endSnoozeButton.addEventListener("click", endSnoozeNow);
+    }
+
+    const addScheduleButton = document.getElementById("addSchedule");
+    if (addScheduleButton) {
+        addScheduleButton.addEventListener("click", addSchedule);
+    }
+
+    const exemptDomainForm = document.getElementById("exemptDomainForm");
+    if (exemptDomainForm) {
+        exemptDomainForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            addExemptDomainFromForm();
+        });
+
+        document.getElementById("exemptDomainInput").addEventListener("input", (event) => {
+            event.target.setCustomValidity("");
+        });
+    }
+
+    const exportSettingsButton = document.getElementById("exportSettings");
+    if (exportSettingsButton) {
+        exportSettingsButton.addEventListener("click", () => {
+            exportSettings().catch((error) => console.error("Error exporting settings:", error));
+        });
+    }
+
+    const importFileInput = document.getElementById("importSettingsFile");
+    const importSettingsButton = document.getElementById("importSettings");
+    if (importFileInput && importSettingsButton) {
+        // Choosing a file closes the popup in Chrome, so the popup hands the
+        // import over to the options page in a tab.
+        let isPageInTab = false;
+        invokeBrowserMethod(browserRef.tabs, "getCurrent")
+            .then((tab) => {
+                isPageInTab = Boolean(tab);
+                if (!isPageInTab) {
+                    importSettingsButton.title = "Opens settings in a tab to choose a file";
+                }
+            })
+            .catch((error) => console.error("Error reading current tab:", error));
+
+        importSettingsButton.addEventListener("click", () => {
+            if (isPageInTab) {
+                importFileInput.click();
+                return;
+            }
+
+            invokeBrowserMethod(browserRef.tabs, "create", {
+                url: browserRef.runtime.getURL(`options.html${IMPORT_PAGE_HASH}`),
+            })
+                .then(() => window.close())
+                .catch((error) => console.error("Error opening settings import:", error));
+        });
+
+        if (window.location.hash === IMPORT_PAGE_HASH) {
+            toggleView();
+            document.getElementById("settingsTransferSection").scrollIntoView();
+        }
+
+        importFileInput.addEventListener("change", () => {
+            const [file] = importFileInput.files;
+            importFileInput.value = "";
+            if (file) {
+                previewSettingsImport(file);
+            }
+        });
+
+        document.getElementById("applyImport").addEventListener("click", () => {
+            applySettingsImport().catch((error) => console.error("Error importing settings:", error));
+        });
+        document.getElementById("cancelImport").addEventListener("click", () => {
+            pendingImport = null;
+            renderImportPreview(null);
+        });
+    }
+
     // Wire up change/keyup events for auto-save
-    const onChangeInputs = document.querySelectorAll(
-        'input[type="checkbox"], input[type="number"]',
-    );
-    const onKeyupInputs = document.querySelectorAll('input[type="number"]');
+    const onChangeInputs = document.querySelectorAll(OPTION_INPUTS_SELECTOR);
+    const onKeyupInputs = document.querySelectorAll("input.stepper-input");
 
     for (let i = 0; i < onChangeInputs.length; i++) {
         onChangeInputs[i].addEventListener("change", saveOptions);
@@ -632,6 +2832,7 @@ document.addEventListener("DOMContentLoaded", () => {
             changeInfo &&
             (Object.prototype.hasOwnProperty.call(changeInfo, "discarded") ||
                 Object.prototype.hasOwnProperty.call(changeInfo, "favIconUrl") ||
+                Object.prototype.hasOwnProperty.call(changeInfo, "groupId") ||
                 Object.prototype.hasOwnProperty.call(changeInfo, "pinned") ||
                 Object.prototype.hasOwnProperty.call(changeInfo, "status") ||
                 Object.prototype.hasOwnProperty.call(changeInfo, "url"))
@@ -640,6 +2841,19 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    addListenerIfAvailable(
+        browserRef.tabGroups && browserRef.tabGroups.onCreated,
+        onTabCountRelevantChange,
+    );
+    addListenerIfAvailable(
+        browserRef.tabGroups && browserRef.tabGroups.onUpdated,
+        onTabCountRelevantChange,
+    );
+    addListenerIfAvailable(
+        browserRef.tabGroups && browserRef.tabGroups.onRemoved,
+        onTabCountRelevantChange,
+    );
+
     addListenerIfAvailable(
         browserRef.windows && browserRef.windows.onCreated,
         onTabCountRelevantChange,
@@ -653,8 +2867,57 @@ document.addEventListener("DOMContentLoaded", () => {
         onTabCountRelevantChange,
     );
 
+    const toggleAllDomainsButton = document.getElementById("toggleAllDomains");
+    if (toggleAllDomainsButton) {
+        toggleAllDomainsButton.addEventListener("click", () => {
+            showAllDomains = !showAllDomains;
+            scheduleTabCountsUpdate(0);
+        });
+    }
+
+    const domainSearchInput = document.getElementById("domainSearch");
+    if (domainSearchInput) {
+        domainSearchInput.addEventListener("input", () => {
+            domainSearchQuery = domainSearchInput.value;
+            scheduleTabCountsUpdate(0);
+        });
+    }
+
+    const closeDuplicatesButton = document.getElementById("closeDuplicates");
+    if (closeDuplicatesButton) {
+        closeDuplicatesButton.addEventListener("click", () => {
+            closeDuplicatesButton.disabled = true;
+            sendBackgroundMessage({ action: "closeDuplicates" })
+                .catch((error) => console.error("Error closing duplicate tabs:", error))
+                .finally(() => {
+                    closeDuplicatesButton.disabled = false;
+                    scheduleTabCountsUpdate(0);
+                });
+        });
+    }
+
+    const clearWaitingListButton = document.getElementById("clearWaitingList");
+    if (clearWaitingListButton) {
+        clearWaitingListButton.addEventListener("click", () => {
+            sendBackgroundMessage({ action: "clearWaitingList" }).catch((error) =>
+                console.error("Error clearing waiting list:", error),
+            );
+        });
+    }
+
     // Keep multiple open popups/options pages in sync.
     browserRef.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local") {
+            if (changes.waitingList || changes.snooze || changes.windowSettings) {
+                scheduleTabCountsUpdate(0);
+            }
+
+            if ((changes.tabHistory || changes.enforcementLog) && currentView === "history") {
+                renderHistory();
+            }
+            return;
+        }
+
         if (areaName !== "sync") {
             return;
         }
@@ -667,7 +2930,7 @@ document.addEventListener("DOMContentLoaded", () => {
                 continue;
             }
 
-            if (document.getElementById(key)) {
+            if (document.getElementById(key) || STRUCTURED_OPTION_KEYS.has(key)) {
                 inputUpdates[key] = change.newValue;
             }
 
@@ -0,0 +1,411 @@
+// Settings schema shared by background.js and options.js. Loaded before either
+// of them: through importScripts() in the Chrome service worker, the manifest's
+// background scripts in Firefox, and a <script> tag in options.html.
+
+// Bump SETTINGS_VERSION and add a step to SETTINGS_MIGRATIONS whenever stored
+// settings change shape. Settings saved before versioning count as version 1.
+const SETTINGS_VERSION = 2;
+const SETTINGS_VERSION_KEY = "settingsVersion";
+
+const normalizeNumber = (value, fallback, min = 1, max = 9999) => {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) return fallback;
+    return Math.min(max, Math.max(min, parsed));
+};
+
+const isPlainObject = (value) =>
+    Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Every option with its type and default. Number ranges match the popup inputs.
+const SETTINGS_SCHEMA = {
+    maxTotal: { type: "number", min: 1, max: 1337, default: 50 },
+    maxWindow: { type: "number", min: 1, max: 1337, default: 20 },
+    maxDomain: { type: "number", min: 1, max: 200, default: 10 },
+    domainGrouping: { type: "choice", values: ["hostname", "registrable"], default: "hostname" },
+    domainLimits: { type: "domainLimits", default: {} },
+    exemptDomains: { type: "domainList", default: [] },
+    urlRules: { type: "urlRules", default: [] },
+    exceedTabNewWindow: { type: "boolean", default: false },
+    overflowStrategy: {
+        type: "choice",
+        values: ["rejectNew", "closeLeastRecent", "discardLeastRecent"],
+        default: "rejectNew",
+    },
+    duplicateMode: {
+        type: "choice",
+        values: ["off", "countOnce", "focusExisting", "closeAction"],
+        default: "off",
+    },
+    duplicateIgnoreQuery: { type: "boolean", default: false },
+    autoReopenWaiting: { type: "boolean", default: false },
+    recordHistory: { type: "boolean", default: true },
+    schedules: { type: "schedules", default: [] },
+    profiles: { type: "profiles", default: [] },
+    activeProfileId: { type: "optionalId", default: null },
+    enableDomainLimit: { type: "boolean", default: true },
+    enableGroupLimit: { type: "boolean", default: false },
+    maxGroup: { type: "number", min: 1, max: 200, default: 10 },
+    separateIncognitoLimits: { type: "boolean", default: false },
+    maxIncognitoTotal: { type: "number", min: 1, max: 1337, default: 20 },
+    maxIncognitoWindow: { type: "number", min: 1, max: 1337, default: 10 },
+    coloredFavicons: { type: "boolean", default: false },
+    displayAlert: { type: "boolean", default: true },
+    warningThreshold: { type: "choice", values: [0, 50, 70, 80, 90], default: 0 },
+    countPinnedTabs: { type: "boolean", default: false },
+    countDiscardedTabs: { type: "boolean", default: true },
+    displayBadge: { type: "boolean", default: false },
+    badgeContent: {
+        type: "choice",
+        values: [
+            "minRemaining",
+            "totalOpen",
+            "windowOpen",
+            "windowRemaining",
+            "totalRemaining",
+            "domainRemaining",
+        ],
+        default: "minRemaining",
+    },
+    alertMessage: { type: "text", default: "Limit is {maxPlace} tabs in {place}" },
+};
+
+const DEFAULT_OPTIONS = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default]),
+);
+
+// Options captured by a named profile.
+const PROFILE_OPTION_KEYS = [
+    "maxTotal",
+    "maxWindow",
+    "maxDomain",
+    "enableDomainLimit",
+    "domainGrouping",
+    "enableGroupLimit",
+    "maxGroup",
+    "countPinnedTabs",
+    "countDiscardedTabs",
+    "exceedTabNewWindow",
+    "overflowStrategy",
+    "duplicateMode",
+    "duplicateIgnoreQuery",
+    "autoReopenWaiting",
+    "displayAlert",
+    "warningThreshold",
+    "displayBadge",
+    "badgeContent",
+    "separateIncognitoLimits",
+    "maxIncognitoTotal",
+    "maxIncognitoWindow",
+];
+
+// Converts a stored or entered value to the option's type. Returns undefined
+// when it cannot be used. Lists are only checked for their container type here;
+// the import in options.js validates their entries.
+const SETTING_COERCERS = {
+    number: (value, rule) => {
+        const number = normalizeNumber(value, null, rule.min, rule.max);
+        return number === null ? undefined : number;
+    },
+    boolean: (value) => {
+        if (typeof value === "boolean") return value;
+        if (value === "true" || value === "false") return value === "true";
+        return undefined;
+    },
+    choice: (value, rule) => rule.values.find((choice) => String(choice) === String(value)),
+    text: (value) => (typeof value === "string" ? value.slice(0, 200) : undefined),
+    optionalId: (value) => (value === null || typeof value === "string" ? value : undefined),
+    domainLimits: (value) => {
+        if (!isPlainObject(value)) {
+            return undefined;
+        }
+
+        const domainLimits = {};
+        for (const [domain, limit] of Object.entries(value)) {
+            const normalizedLimit = normalizeNumber(limit, null, 1, 200);
+            if (normalizedLimit !== null) {
+                domainLimits[domain] = normalizedLimit;
+            }
+        }
+        return domainLimits;
+    },
+    domainList: (value) => (Array.isArray(value) ? value : undefined),
+    urlRules: (value) => (Array.isArray(value) ? value : undefined),
+    schedules: (value) => (Array.isArray(value) ? value : undefined),
+    profiles: (value) => (Array.isArray(value) ? value : undefined),
+};
+
+const coerceSetting = (key, value) => {
+    const rule = SETTINGS_SCHEMA[key];
+    return rule ? SETTING_COERCERS[rule.type](value, rule) : undefined;
+};
+
+// Coerce every known option; drop values that cannot be used so the default applies.
+const coerceSettings = (settings) => {
+    const coerced = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (!(key in SETTINGS_SCHEMA)) {
+            coerced[key] = value;
+            continue;
+        }
+
+        const cleaned = coerceSetting(key, value);
+        if (cleaned !== undefined) {
+            coerced[key] = cleaned;
+        }
+    }
+    return coerced;
+};
+
+// Step N turns version N - 1 settings into version N. Steps get and return a
+// plain object of stored keys; keys missing from the result are removed.
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 2,
+        migrate: (settings) => {
+            // Defaults now come from this file instead of a stored copy.
+            const { defaultOptions, ...migrated } = settings;
+
+            // Older alert messages used {which} and {maxWhich}.
+            if (typeof migrated.alertMessage === "string") {
+                migrated.alertMessage = migrated.alertMessage
+                    .replace(/{\s*which\s*}/g, "{place}")
+                    .replace(/{\s*maxWhich\s*}/g, "{maxPlace}");
+            }
+
+            // Numbers and booleans used to be saved as typed in the inputs.
+            const coerced = coerceSettings(migrated);
+            if (Array.isArray(coerced.profiles)) {
+                coerced.profiles = coerced.profiles.map((profile) =>
+                    isPlainObject(profile) && isPlainObject(profile.settings)
+                        ? { ...profile, settings: coerceSettings(profile.settings) }
+                        : profile,
+                );
+            }
+            return coerced;
+        },
+    },
+];
+
+const upgradeSettings = (settings, fromVersion) =>
+    SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).reduce(
+        (upgraded, step) => step.migrate(upgraded),
+        settings,
+    );
+
+// Custom domain limits are keyed by the domain they were added under, which
+// depends on the Group Domains mode at the time. A limit on a subdomain also
+// covers its whole site when grouping by site (the lowest limit wins), and a
+// limit on a site covers each of its subdomains when grouping by hostname.
+// Uses getRegistrableDomain from public-suffix.js.
+const getCustomDomainLimit = (options, domain) => {
+    const domainLimits = (options && options.domainLimits) || {};
+
+    if (!domain) {
+        return undefined;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(domainLimits, domain)) {
+        return normalizeNumber(domainLimits[domain], undefined);
+    }
+
+    if (options.domainGrouping === "registrable") {
+        const limits = Object.keys(domainLimits)
+            .filter((key) => getRegistrableDomain(key) === domain)
+            .map((key) => normalizeNumber(domainLimits[key], undefined))
+            .filter((limit) => limit !== undefined);
+        return limits.length > 0 ? Math.min(...limits) : undefined;
+    }
+
+    const site = getRegistrableDomain(domain);
+    return site && Object.prototype.hasOwnProperty.call(domainLimits, site)
+        ? normalizeNumber(domainLimits[site], undefined)
+        : undefined;
+};
+
+// Domain-specific overrides fall back to the global maxDomain option.
+const getDomainLimit = (options, domain) => {
+    const customLimit = getCustomDomainLimit(options, domain);
+    return customLimit === undefined ? normalizeNumber(options.maxDomain, 10) : customLimit;
+};
+
+// Tab budgets and per-window limits. background.js keeps per-window names and
+// limits in storage.local; options.windowLimits holds the matched overrides.
+const WINDOW_SETTINGS_KEY = "windowSettings";
+
+const getBudgetLimits = (options, incognito) =>
+    options.separateIncognitoLimits && incognito
+        ? {
+              maxTotal: normalizeNumber(options.maxIncognitoTotal, 20),
+              maxWindow: normalizeNumber(options.maxIncognitoWindow, 10),
+          }
+        : {
+              maxTotal: normalizeNumber(options.maxTotal, 50),
+              maxWindow: normalizeNumber(options.maxWindow, 20),
+          };
+
+// A window's own limit, or the shared per-window limit of its budget.
+const getWindowLimit = (options, windowId, incognito) => {
+    const override = options.windowLimits && options.windowLimits[windowId];
+    return override ? normalizeNumber(override, 1) : getBudgetLimits(options, incognito).maxWindow;
+};
+
+// The stored list from a storage.local.get({ [WINDOW_SETTINGS_KEY]: [] }) result.
+const readWindowSettingsList = (stored) =>
+    stored && Array.isArray(stored[WINDOW_SETTINGS_KEY]) ? stored[WINDOW_SETTINGS_KEY] : [];
+
+// Limit overrides by window id, for the windows matched in this session.
+const buildWindowLimits = (windowSettings) => {
+    const windowLimits = {};
+
+    for (const entry of windowSettings) {
+        if (typeof entry.windowId === "number" && entry.maxWindow) {
+            windowLimits[entry.windowId] = entry.maxWindow;
+        }
+    }
+
+    return windowLimits;
+};
+
+// Usage bands color the popup progress bars and the badge.
+const getUsageBand = (percentage) => {
+    if (percentage <= 25) return "purple";
+    if (percentage <= 45) return "blue";
+    if (percentage <= 70) return "green";
+    if (percentage <= 85) return "yellow";
+    if (percentage < 100) return "orange";
+    return "red";
+};
+
+// Tab counting. Uses getRegistrableDomain from public-suffix.js and the
+// EXTENSION_PAGE_PREFIX of the script that loads this one.
+
+const getDomainFromUrl = (url) => {
+    if (!url) return null;
+
+    try {
+        const parsedUrl = new URL(url);
+        if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+            return null;
+        }
+
+        return parsedUrl.hostname.toLowerCase().replace(/^www\./, "");
+    } catch (error) {
+        return null;
+    }
+};
+
+// The domain that limits and domain counts use: the hostname, or the
+// registrable domain when domains are grouped by site (mail.google.com -> google.com).
+const getGroupedDomain = (url, options) => {
+    const domain = getDomainFromUrl(url);
+    return domain && options.domainGrouping === "registrable" ? getRegistrableDomain(domain) : domain;
+};
+
+const getTabUrl = (tab) => (tab && (tab.pendingUrl || tab.url)) || null;
+
+// Exempt entries also cover their subdomains, e.g. "corp.example" exempts "jira.corp.example".
+const isDomainExempt = (domain, exemptDomains) =>
+    Boolean(domain) &&
+    Array.isArray(exemptDomains) &&
+    exemptDomains.some((exempt) => domain === exempt || domain.endsWith(`.${exempt}`));
+
+const isExemptTab = (tab, options) => {
+    const url = getTabUrl(tab);
+    if (url && url.startsWith(EXTENSION_PAGE_PREFIX)) {
+        return true;
+    }
+
+    return isDomainExempt(getDomainFromUrl(url), options.exemptDomains);
+};
+
+// Discarding only frees room when discarded tabs do not count, so that
+// overflow strategy implies it.
+const countsDiscardedTabs = (options) =>
+    Boolean(options.countDiscardedTabs) && options.overflowStrategy !== "discardLeastRecent";
+
+const filterCountableTabs = (tabs, options) => {
+    const countDiscarded = countsDiscardedTabs(options);
+    const countableTabs = (tabs || []).filter(
+        (tab) =>
+            (options.countPinnedTabs || !tab.pinned) &&
+            (countDiscarded || !tab.discarded) &&
+            !isExemptTab(tab, options),
+    );
+
+    return options.duplicateMode === "countOnce"
+        ? dedupeTabs(countableTabs, options)
+        : countableTabs;
+};
+
+// Duplicate tabs, for counting them once and for closing them.
+
+// Duplicates are matched on the full URL, or on origin + path when the query
+// string and hash are ignored. Only web pages are ever treated as duplicates.
+const getDuplicateKey = (url, options) => {
+    if (!getDomainFromUrl(url)) {
+        return null;
+    }
+
+    if (!options.duplicateIgnoreQuery) {
+        return url;
+    }
+
+    const parsedUrl = new URL(url);
+    return `${parsedUrl.origin}${parsedUrl.pathname}`;
+};
+
+const dedupeTabs = (tabs, options) => {
+    const seenKeys = new Set();
+
+    return tabs.filter((tab) => {
+        const key = getDuplicateKey(getTabUrl(tab), options);
+        if (!key) {
+            return true;
+        }
+
+        if (seenKeys.has(key)) {
+            return false;
+        }
+
+        seenKeys.add(key);
+        return true;
+    });
+};
+
+// Keep one tab per URL (pinned, then active, then most recently used) and return the rest.
+const getDuplicateTabsToClose = (tabs, options) => {
+    const tabsByKey = new Map();
+
+    for (const tab of tabs || []) {
+        const key = getDuplicateKey(getTabUrl(tab), options);
+        if (!key) {
+            continue;
+        }
+
+        const groupKey = `${tab.incognito ? "private" : "normal"} ${key}`;
+        if (!tabsByKey.has(groupKey)) {
+            tabsByKey.set(groupKey, []);
+        }
+        tabsByKey.get(groupKey).push(tab);
+    }
+
+    const duplicates = [];
+
+    for (const group of tabsByKey.values()) {
+        if (group.length < 2) {
+            continue;
+        }
+
+        const [, ...rest] = group
+            .slice()
+            .sort(
+                (a, b) =>
+                    Number(b.pinned) - Number(a.pinned) ||
+                    Number(b.active) - Number(a.active) ||
+                    (b.lastAccessed || 0) - (a.lastAccessed || 0),
+            );
+        duplicates.push(...rest.filter((tab) => !tab.pinned));
+    }
+
+    return duplicates;
+};
@@ -0,0 +1,142 @@
+// URL pattern rules, shared by background.js and options.js. Loaded the same
+// way as settings.js.
+//
+// A pattern is either a match pattern like *://*.youtube.com/watch* (scheme,
+// host and path, where a *. prefix covers subdomains) or a glob over the whole
+// URL like *github.com/*/pull/*. A bare * host also spans leading path
+// segments, so *://*/pull/* matches pull requests on any site. Both ignore
+// case and the #hash.
+
+const URL_RULE_PATTERN_MAX_LENGTH = 200;
+const MATCH_PATTERN_PARTS = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)$/i;
+
+const urlPatternCache = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\?*]/g, "\\$&");
+
+// A glob is split at its * wildcards into parts; ? in a part matches exactly one
+// character in globs and is literal in match pattern paths.
+const compileGlob = (glob, singleCharWildcard) =>
+    glob
+        .replace(/\*+/g, "*")
+        .split("*")
+        .map((part) => {
+            const escaped = escapeRegExp(part);
+            const source = singleCharWildcard ? escaped.replace(/\\\?/g, ".") : escaped;
+            return {
+                length: part.length,
+                at: new RegExp(source, "iy"),
+                search: new RegExp(source, "gi"),
+            };
+        });
+
+const findGlobPart = (part, text, fromIndex, sticky) => {
+    const regExp = sticky ? part.at : part.search;
+    regExp.lastIndex = fromIndex;
+    const match = regExp.exec(text);
+    return match ? match.index : -1;
+};
+
+// Matches text from start to its end. The first and last parts are anchored and
+// every part in between takes its leftmost fit, which is enough for globs and
+// never backtracks, unlike a regular expression with a .* for every wildcard.
+const matchesGlob = (parts, text, start) => {
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+
+    if (parts.length === 1) {
+        return text.length - start === first.length && findGlobPart(first, text, start, true) === start;
+    }
+
+    const end = text.length - last.length;
+    let index = start + first.length;
+
+    if (
+        end < index ||
+        findGlobPart(first, text, start, true) !== start ||
+        findGlobPart(last, text, end, true) !== end
+    ) {
+        return false;
+    }
+
+    for (const part of parts.slice(1, -1)) {
+        const found = findGlobPart(part, text, index, false);
+        if (found === -1 || found + part.length > end) {
+            return false;
+        }
+        index = found + part.length;
+    }
+
+    return true;
+};
+
+// The scheme and host are matched by a regular expression that stops right
+// before the path, and the path by a glob.
+const compileMatchPattern = (scheme, host, path) => {
+    const schemeSource = scheme === "*" ? "https?" : escapeRegExp(scheme);
+
+    let hostSource;
+    let pathGlob = path;
+    if (host === "*") {
+        hostSource = "[^/]+";
+        pathGlob = `*${path}`;
+    } else if (host.startsWith("*.")) {
+        hostSource = `([^/]+\\.)?${escapeRegExp(host.slice(2))}`;
+    } else if (host && !host.includes("*")) {
+        hostSource = escapeRegExp(host);
+    } else {
+        return null;
+    }
+
+    // A host without a port matches any port, as in browser match patterns.
+    const portSource = host === "*" || host.includes(":") ? "" : "(:\\d+)?";
+    const origin = new RegExp(`^${schemeSource}://${hostSource}${portSource}(?=/)`, "i");
+    const pathParts = compileGlob(pathGlob, false);
+
+    return {
+        test: (url) => {
+            const match = origin.exec(url);
+            return Boolean(match) && matchesGlob(pathParts, url, match[0].length);
+        },
+    };
+};
+
+// Returns a matcher with a test(url) method, or null when the pattern cannot
+// be used.
+const compileUrlPattern = (pattern) => {
+    if (typeof pattern !== "string") {
+        return null;
+    }
+
+    if (urlPatternCache.has(pattern)) {
+        return urlPatternCache.get(pattern);
+    }
+
+    const trimmed = pattern.trim();
+    let compiled = null;
+
+    if (trimmed && trimmed.length <= URL_RULE_PATTERN_MAX_LENGTH && /[^*?]/.test(trimmed)) {
+        const parts = trimmed.match(MATCH_PATTERN_PARTS);
+        if (parts) {
+            compiled = compileMatchPattern(parts[1].toLowerCase(), parts[2].toLowerCase(), parts[3]);
+        } else {
+            const globParts = compileGlob(trimmed, true);
+            compiled = { test: (url) => matchesGlob(globParts, url, 0) };
+        }
+    }
+
+    urlPatternCache.set(pattern, compiled);
+    return compiled;
+};
+
+const getUrlRules = (options) =>
+    (Array.isArray(options.urlRules) ? options.urlRules : [])
+        .filter((rule) => isPlainObject(rule) && compileUrlPattern(rule.pattern))
+        // Not capped at the editor's 200, so a raise snooze can go above it.
+        .map((rule) => ({ ...rule, limit: normalizeNumber(rule.limit, 10) }));
+
+const matchesUrlRule = (url, rule) =>
+    Boolean(url) && compileUrlPattern(rule.pattern).test(url.split("#")[0]);
+
+const getMatchingUrlRules = (url, options) =>
+    getUrlRules(options).filter((rule) => matchesUrlRule(url, rule));